@@ -1734,11 +1734,14 @@ window.BlogView = (function(superClass) {
   BlogView.prototype.events = {};
 
   BlogView.prototype.initialize = function() {
-    var j, len, post, ref, results1;
-    ref = this.$('.blog-post');
+    return this.renderPosts(this.$('.blog-post'));
+  };
+
+  BlogView.prototype.renderPosts = function($posts) {
+    var j, len, post, results1;
     results1 = [];
-    for (j = 0, len = ref.length; j < len; j++) {
-      post = ref[j];
+    for (j = 0, len = $posts.length; j < len; j++) {
+      post = $posts[j];
       results1.push(new PostView({
         el: post
       }));
@@ -1763,10 +1766,14 @@ window.CartView = (function(superClass) {
     'change .cart-item-quantity-display': 'updateQuantity',
     'click .cart-item-decrease': 'updateQuantity',
     'click .cart-item-increase': 'updateQuantity',
+    'click .cart-item-remove': 'updateQuantity',
     'change .cart-instructions textarea': 'saveSpecialInstructions',
-    'click .dismiss': 'closeModal',
-    'click .cart-modal-wrapper.active': 'closeModal',
-    'click .get-rates': 'calculateShipping'
+    'click [data-cart-discount-apply]': 'applyDiscount',
+    'keydown [data-cart-discount-input]': '_discountKeydown',
+    'click [data-cart-discount-remove]': 'removeDiscount',
+    'change [data-cart-attribute]': 'saveAttribute',
+    'click [name="checkout"]': 'validateAttributes',
+    'click .dismiss': 'closeModal'
   };
 
   CartView.prototype.initialize = function() {
@@ -1775,47 +1782,72 @@ window.CartView = (function(superClass) {
   };
 
   CartView.prototype.render = function() {
-    var error;
     this.context = {};
     this.context.cart = JSON.parse($('[data-cart-strings]').text());
-    this.context.shipping = null;
     this.$body = $(document.body);
-    this.$modalWrapper = this.$('.cart-modal-wrapper');
+    this._cacheElements();
+    this.modal = new Dialog(this.$modalWrapper, {
+      onClose: (function(_this) {
+        return function() {
+          return _this._clearModal();
+        };
+      })(this)
+    });
+    if (this.$shippingEstimator.length) {
+      this.shippingEstimator = new ShippingEstimator(this.$shippingEstimator);
+    }
+    if (this.$('[data-cart-recommendations]').length) {
+      this.recommendations = new CartRecommendations(this.$('[data-cart-recommendations]'));
+      cartClient.getCart().done((function(_this) {
+        return function(cart) {
+          return _this.recommendations.load(cart);
+        };
+      })(this));
+    }
+    this._setupAttributes();
+    return this._applyDiscountParam();
+  };
+
+  CartView.prototype._cacheElements = function() {
+    this.$section = this.$('[data-cart-section]');
+    this.$content = this.$('[data-cart-content]');
+    this.$modalWrapper = this.$('[data-cart-modal]');
     this.$modalTitle = this.$('[data-modal-title]');
     this.$modalMessage = this.$('[data-modal-message]');
     this.$modalAction = this.$('[data-modal-action]');
-    this.$cartSubtotal = this.$('[data-cart-subtotal]');
-    this.$shippingCalculator = $('[data-shipping-calculator]');
-    if (this.$shippingCalculator.length !== 0) {
-      try {
-        this.context.shipping = JSON.parse($('[data-shipping-calculator-strings]').text());
-      } catch (error1) {
-        error = error1;
-        console.log('No shipping localisations found, unable to continue.');
-      }
-      if (this.context.shipping == null) {
-        return;
-      }
-      if (this.$('.cart-items').length) {
-        this.shippingCalculator();
-      }
-    }
-    return Shopify.onError = (function(_this) {
-      return function(XMLHttpRequest) {
-        return _this.handleErrors(XMLHttpRequest);
-      };
-    })(this);
+    return this.$shippingEstimator = this.$('[data-shipping-estimator]');
   };
 
   CartView.prototype.sectionBinding = function() {
-    this.$el.on('shopify:section:load', (function(_this) {
+    this.$el.off('.cartView');
+    this.$el.on('cart:added.cartView cart:synced.cartView', (function(_this) {
+      return function() {
+        return _this.refresh();
+      };
+    })(this));
+    this.$el.on('cart:updated.cartView', (function(_this) {
+      return function(event, cart) {
+        var ref;
+        return (ref = _this.recommendations) != null ? ref.load(cart) : void 0;
+      };
+    })(this));
+    this.$el.on('shopify:section:load.cartView', (function(_this) {
       return function() {
+        _this._abortRefresh();
+        _this._removeShippingEstimator();
+        _this._removeRecommendations();
+        _this.modal.prepareRemove();
         _this.delegateEvents();
         return _this.initialize();
       };
     })(this));
-    return this.$el.on('shopify:section:unload', (function(_this) {
+    return this.$el.on('shopify:section:unload.cartView', (function(_this) {
       return function() {
+        _this._abortRefresh();
+        _this._removeShippingEstimator();
+        _this._removeRecommendations();
+        _this.modal.prepareRemove();
+        _this.$el.off('cart:added.cartView cart:synced.cartView cart:updated.cartView');
         return _this.undelegateEvents();
       };
     })(this));
@@ -1824,168 +1856,466 @@ window.CartView = (function(superClass) {
   CartView.prototype.saveSpecialInstructions = function() {
     var newNote;
     newNote = $('.cart-instructions textarea').val();
-    return Shopify.updateCartNote(newNote, function(cart) {});
+    return cartClient.updateNote(newNote);
   };
 
-  CartView.prototype.updatePrice = function($el, price) {
-    $el.html(price);
-    if (Theme.enableCurrencyConverter) {
-      return CurrencyConverter.update($el[0]);
+  /*
+      Apply a code passed as ?discount=, e.g. from an email campaign, then
+      drop it from the URL so a reload doesn't apply it again.
+   */
+
+  CartView.prototype._applyDiscountParam = function() {
+    var code;
+    code = ThemeUtils.getQueryParam('discount');
+    if (!(code && this.$('[data-cart-discount-input]').length)) {
+      return;
+    }
+    window.history.replaceState(window.history.state, '', ThemeUtils.setQueryParam('discount', null));
+    this.$('[data-cart-discount-input]').val(code);
+    return this.applyDiscount();
+  };
+
+  CartView.prototype._discountKeydown = function(event) {
+    if (event.which === 13) {
+      event.preventDefault();
+      return this.applyDiscount();
+    }
+  };
+
+  CartView.prototype._getDiscountCodes = function() {
+    return this.$('[data-cart-discount-remove]').map(function() {
+      return $(this).attr('data-cart-discount-remove');
+    }).get();
+  };
+
+  CartView.prototype.applyDiscount = function() {
+    var code, codes;
+    code = $.trim(this.$('[data-cart-discount-input]').val());
+    if (!code) {
+      return;
+    }
+    codes = this._getDiscountCodes().filter(function(applied) {
+      return applied.toLowerCase() !== code.toLowerCase();
+    });
+    codes.push(code);
+    return this._updateDiscounts(codes, code);
+  };
+
+  CartView.prototype.removeDiscount = function(event) {
+    var code;
+    code = $(event.currentTarget).attr('data-cart-discount-remove');
+    return this._updateDiscounts(this._getDiscountCodes().filter(function(applied) {
+      return applied !== code;
+    }));
+  };
+
+  /*
+      Save the codes and re-render the totals. When a new code was entered,
+      report it if Shopify didn't accept it or it doesn't apply to the cart.
+  
+      @param codes
+          {Array} Every code that should be on the cart
+  
+      @param code
+          {String} Optional code the customer just entered
+   */
+
+  CartView.prototype._updateDiscounts = function(codes, code) {
+    var $error;
+    $error = this.$('[data-cart-discount-error]').empty();
+    return cartClient.updateDiscounts(codes).done((function(_this) {
+      return function(cart) {
+        var discountCode, error;
+        if (code != null) {
+          discountCode = (cart.discount_codes || []).filter(function(discountCode) {
+            return discountCode.code.toLowerCase() === code.toLowerCase();
+          })[0];
+          if (discountCode == null) {
+            error = _this.context.cart.discountInvalid;
+          } else if (!discountCode.applicable) {
+            error = _this.context.cart.discountNotApplicable;
+          }
+        }
+        return _this.refresh().done(function() {
+          if (error != null) {
+            _this.$('[data-cart-discount-input]').val(code);
+            return _this.$('[data-cart-discount-error]').text(error.replace('** code **', code));
+          }
+        });
+      };
+    })(this)).fail(function(error) {
+      return $error.text(error.description);
+    });
+  };
+
+  CartView.prototype._weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  CartView.prototype._setupAttributes = function() {
+    this.$('[data-cart-attribute][type="date"]').each((function(_this) {
+      return function(i, input) {
+        return $(input).attr('min', _this._formatDate(_this._earliestDate($(input))));
+      };
+    })(this));
+    return this._updateCheckoutState();
+  };
+
+  CartView.prototype.saveAttribute = function(event) {
+    var $input, attributes, error;
+    $input = $(event.currentTarget);
+    error = this._validateAttribute($input);
+    this._showAttributeError($input, error);
+    this._updateCheckoutState();
+    if (error) {
+      return;
+    }
+    if ($input.is('[data-gift-wrap-variant]')) {
+      return this._toggleGiftWrap($input);
+    }
+    attributes = {};
+    attributes[$input.attr('data-cart-attribute')] = this._attributeValue($input);
+    return cartClient.updateAttributes(attributes).fail((function(_this) {
+      return function(error) {
+        return _this._showAttributeError($input, error.description);
+      };
+    })(this));
+  };
+
+  /*
+      Add or remove the gift wrap product along with its attribute, leaving
+      the line alone if it's already as asked. Adding re-renders from the
+      cart:added event, anything else re-renders here.
+   */
+
+  CartView.prototype._toggleGiftWrap = function($input) {
+    var added, attributes, checked, variantId;
+    checked = $input.prop('checked');
+    variantId = parseInt($input.attr('data-gift-wrap-variant'), 10);
+    attributes = {};
+    attributes[$input.attr('data-cart-attribute')] = this._attributeValue($input);
+    added = false;
+    $input.prop('disabled', true);
+    return cartClient.getCart().then(function(cart) {
+      var item;
+      item = cart.items.filter(function(item) {
+        return item.variant_id === variantId;
+      })[0];
+      if (checked && (item == null)) {
+        added = true;
+        return cartClient.addItem(variantId, 1);
+      }
+      if (!checked && (item != null)) {
+        return cartClient.changeItem(item.key, 0);
+      }
+      return cart;
+    }).then(function() {
+      return cartClient.updateAttributes(attributes);
+    }).done((function(_this) {
+      return function() {
+        if (!added) {
+          return _this.refresh();
+        }
+      };
+    })(this)).fail((function(_this) {
+      return function(error) {
+        $input.prop('checked', !checked).prop('disabled', false);
+        return _this._showAttributeError($input, error.description);
+      };
+    })(this));
+  };
+
+  /*
+      Checkout can't continue until every attribute is valid, so show all
+      errors and move focus to the first one.
+   */
+
+  CartView.prototype.validateAttributes = function(event) {
+    var $invalid;
+    $invalid = this.$('[data-cart-attribute]').filter((function(_this) {
+      return function(i, input) {
+        var error;
+        error = _this._validateAttribute($(input));
+        _this._showAttributeError($(input), error);
+        return error != null;
+      };
+    })(this));
+    if ($invalid.length) {
+      event.preventDefault();
+      return $invalid.first().focus();
+    }
+  };
+
+  CartView.prototype._updateCheckoutState = function() {
+    var invalid;
+    invalid = this.$('[data-cart-attribute]').filter((function(_this) {
+      return function(i, input) {
+        return _this._validateAttribute($(input)) != null;
+      };
+    })(this)).length > 0;
+    return this.$('.cart-additional-checkout-buttons').toggleClass('disabled', invalid);
+  };
+
+  CartView.prototype._showAttributeError = function($input, error) {
+    $input.closest('.cart-attribute').find('[data-cart-attribute-error]').text(error || '');
+    if (error) {
+      return $input.attr('aria-invalid', true);
+    } else {
+      return $input.removeAttr('aria-invalid');
+    }
+  };
+
+  CartView.prototype._attributeValue = function($input) {
+    if ($input.is(':checkbox')) {
+      if ($input.prop('checked')) {
+        return $input.val();
+      } else {
+        return '';
+      }
+    }
+    return $.trim($input.val() || '');
+  };
+
+  CartView.prototype._validateAttribute = function($input) {
+    var value;
+    value = this._attributeValue($input);
+    if (!value) {
+      if ($input.attr('aria-required') === 'true') {
+        return this.context.cart.attributeRequired;
+      }
+      return null;
+    }
+    if ($input.attr('type') === 'date') {
+      return this._validateDate($input, value);
+    }
+    return null;
+  };
+
+  /*
+      Delivery dates must be after the lead time and not on an unavailable
+      weekday or date.
+   */
+
+  CartView.prototype._validateDate = function($input, value) {
+    var blackoutDates, blackoutDays, date, earliest, parts;
+    parts = value.split('-');
+    date = new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+    if (parts.length !== 3 || isNaN(date.getTime())) {
+      return this.context.cart.dateUnavailable;
+    }
+    earliest = this._earliestDate($input);
+    if (date < earliest) {
+      return this.context.cart.dateTooSoon.replace('** date **', earliest.toLocaleDateString());
+    }
+    blackoutDays = ($input.attr('data-blackout-days') || '').split(',').map((function(_this) {
+      return function(day) {
+        return _this._weekdays.indexOf($.trim(day));
+      };
+    })(this));
+    blackoutDates = ($input.attr('data-blackout-dates') || '').split(',').map(function(blackoutDate) {
+      return $.trim(blackoutDate);
+    });
+    if (blackoutDays.indexOf(date.getDay()) !== -1 || blackoutDates.indexOf(this._formatDate(date)) !== -1) {
+      return this.context.cart.dateUnavailable;
     }
+    return null;
+  };
+
+  CartView.prototype._earliestDate = function($input) {
+    var date;
+    date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + (parseInt($input.attr('data-lead-time'), 10) || 0));
+    return date;
   };
 
-  CartView.prototype.removeProduct = function($productRow, cart) {
-    $productRow.hide();
-    return this.updateCart(cart);
+  CartView.prototype._formatDate = function(date) {
+    var pad;
+    pad = function(number) {
+      return (number < 10 ? '0' : '') + number;
+    };
+    return (date.getFullYear()) + "-" + (pad(date.getMonth() + 1)) + "-" + (pad(date.getDate()));
   };
 
   CartView.prototype.updateQuantity = function(event) {
-    var $productPrice, $productQuantity, $productRow, $target, newQuantity, oldQuantity, variant;
+    var $productQuantity, $productRow, $target, enteredQuantity, lineKey, message, newQuantity, oldQuantity, requestedQuantity, rules;
     $target = $(event.currentTarget);
     $productRow = $target.parents('tr');
-    $productPrice = $productRow.find('.cart-item-total .money');
     $productQuantity = $productRow.find('.cart-item-quantity-display');
-    oldQuantity = parseInt($productQuantity.val(), 10);
-    oldQuantity = isNaN(oldQuantity) ? 1 : oldQuantity;
-    variant = $productRow.data('variant');
+    rules = QuantityRules.forInput($productQuantity);
+    oldQuantity = parseInt($productQuantity.attr('value'), 10);
+    enteredQuantity = parseInt($productQuantity.val(), 10);
+    enteredQuantity = isNaN(enteredQuantity) ? oldQuantity : enteredQuantity;
+    lineKey = $productRow.attr('data-line-key');
     if ($target.hasClass('cart-item-quantity-display')) {
-      newQuantity = oldQuantity;
+      requestedQuantity = enteredQuantity;
     } else if ($target.hasClass('cart-item-increase')) {
-      newQuantity = oldQuantity + 1;
+      requestedQuantity = rules.adjust(enteredQuantity, 1, true);
     } else if ($target.hasClass('cart-item-decrease')) {
-      newQuantity = Math.max(oldQuantity - 1, 0);
+      requestedQuantity = rules.adjust(enteredQuantity, -1, true);
+    } else {
+      event.preventDefault();
+      requestedQuantity = 0;
     }
+    newQuantity = rules.clamp(requestedQuantity, true);
+    message = rules.validate(requestedQuantity, true);
     $productQuantity.val(newQuantity);
-    return Shopify.changeItem(variant, newQuantity, (function(_this) {
+    this._showQuantityError(lineKey, message);
+    if (newQuantity === oldQuantity) {
+      return;
+    }
+    return cartClient.changeLinkedItem(lineKey, newQuantity).done((function(_this) {
       return function(cart) {
-        var action, cartItem, cartItemQuantity, cartItems, item, message, newProductPrice, title;
-        cartItems = cart.items;
-        cartItem = cartItems.filter(function(item) {
-          return item.id === variant;
+        var item;
+        item = cart.items.filter(function(item) {
+          return item.key === lineKey;
+        })[0];
+        return _this.refresh().done(function() {
+          if ((item != null) && newQuantity !== 0 && item.quantity !== newQuantity) {
+            message = _this.context.cart.cartQuantityError.message.replace('** quantity **', item.quantity).replace('** title **', item.title);
+          }
+          return _this._showQuantityError(lineKey, message);
         });
-        if (!cartItems.length) {
-          return window.location = '/cart';
-        }
-        if (newQuantity === 0) {
-          return _this.removeProduct($productRow, cart);
-        }
-        item = cartItem[0];
-        newProductPrice = Shopify.formatMoney(item.line_price, Theme.moneyFormat);
-        cartItemQuantity = item.quantity;
-        _this.updatePrice($productPrice, newProductPrice);
-        $productQuantity.val(cartItemQuantity);
-        if (cartItemQuantity !== newQuantity) {
-          message = _this.context.cart.cartQuantityError.message.replace('** quantity **', cartItemQuantity).replace('** title **', item.title);
-          title = _this.context.cart.cartQuantityError.title;
-          action = _this.context.cart.cartQuantityError.button;
-          _this.openModal(title, message, action);
+      };
+    })(this)).fail((function(_this) {
+      return function(error) {
+        $productQuantity.val(oldQuantity);
+        if (!_this._showQuantityError(lineKey, error.description)) {
+          return _this.openModal(_this.context.cart.cartQuantityError.title, error.description, _this.context.cart.cartQuantityError.button);
         }
-        return _this.updateCart(cart);
       };
     })(this));
   };
 
-  CartView.prototype.updateCart = function(cart) {
-    var newTotal;
-    newTotal = Shopify.formatMoney(cart.total_price, Theme.moneyFormat);
-    return this.updatePrice(this.$cartSubtotal, newTotal);
+  /*
+      Show why a line's quantity was changed next to its quantity field, or
+      clear the message when there is none. Returns false if the line is no
+      longer in the cart.
+   */
+
+  CartView.prototype._showQuantityError = function(lineKey, message) {
+    var $error;
+    $error = this.$('tr[data-line-key]').filter(function() {
+      return $(this).attr('data-line-key') === lineKey;
+    }).find('[data-quantity-error]');
+    $error.text(message || '');
+    return $error.length > 0;
   };
 
-  CartView.prototype.shippingCalculator = function() {
-    var selectableOptions;
-    Shopify.Cart.ShippingCalculator.show({
-      submitButton: this.context.shipping.submitButton,
-      submitButtonDisabled: this.context.shipping.submitButtonProcessing,
-      customerIsLoggedIn: this.context.shipping.customerCountry,
-      moneyFormat: Theme.moneyFormat
+  /*
+      Re-fetch the cart section and swap its contents in place, so line
+      prices, discounts and totals always match what Shopify calculated.
+  
+      The live shipping estimator is carried over into the new markup to
+      keep its address, and re-quotes if it was showing rates. Focus is
+      returned to the same control on the same line.
+   */
+
+  CartView.prototype.refresh = function() {
+    this._abortRefresh();
+    this.$content.addClass('loading');
+    this.refreshRequest = $.ajax({
+      type: 'GET',
+      url: '/cart',
+      data: {
+        section_id: this.$section.data('section-id')
+      },
+      dataType: 'html',
+      cache: false
     });
-    selectableOptions = this.$shippingCalculator.find('select');
-    setTimeout((function(_this) {
-      return function() {
-        var j, len, results1, select;
-        results1 = [];
-        for (j = 0, len = selectableOptions.length; j < len; j++) {
-          select = selectableOptions[j];
-          results1.push(_this.updateShippingLabel(select));
+    return this.refreshRequest.done((function(_this) {
+      return function(response) {
+        var $content, $shippingEstimator, focus;
+        $content = $('<div />').append($.parseHTML(response)).find('[data-cart-content]');
+        if (!$content.length) {
+          return window.location = '/cart';
         }
-        return results1;
-      };
-    })(this), 500);
-    return this.$('.cart-shipping-calculator select').change((function(_this) {
-      return function(e) {
-        var j, len, results1, select;
-        results1 = [];
-        for (j = 0, len = selectableOptions.length; j < len; j++) {
-          select = selectableOptions[j];
-          results1.push(_this.updateShippingLabel(select));
+        focus = _this._getFocus();
+        $shippingEstimator = $content.find('[data-shipping-estimator]');
+        if ($shippingEstimator.length && (_this.shippingEstimator != null)) {
+          $shippingEstimator.replaceWith(_this.$shippingEstimator.detach());
+        } else {
+          _this._removeShippingEstimator();
         }
-        return results1;
+        _this.$content.replaceWith($content);
+        _this._cacheElements();
+        _this.$content.find('[data-cart-attributes] select').each(function(i, item) {
+          return new SelectView({
+            el: $(item)
+          });
+        });
+        _this._setupAttributes();
+        _this._restoreFocus(focus);
+        if (_this.shippingEstimator != null) {
+          _this.shippingEstimator.refresh();
+        } else if (_this.$shippingEstimator.length) {
+          _this.shippingEstimator = new ShippingEstimator(_this.$shippingEstimator);
+        }
+        if (Theme.enableCurrencyConverter) {
+          return CurrencyConverter.update(_this.$content[0]);
+        }
+      };
+    })(this)).always((function(_this) {
+      return function() {
+        _this.$content.removeClass('loading');
+        return _this.refreshRequest = null;
       };
     })(this));
   };
 
-  CartView.prototype.calculateShipping = function() {
-    var shippingAddress;
-    $('.get-rates').val(this.context.shipping.submitButtonProcessing);
-    shippingAddress = {};
-    shippingAddress.zip = $('.address-zip').val() || '';
-    shippingAddress.country = $('.address-country').val() || '';
-    shippingAddress.province = $('.address-province').val() || '';
-    if (shippingAddress.country === '---') {
-      shippingAddress.country = '';
+  CartView.prototype._abortRefresh = function() {
+    var ref;
+    return (ref = this.refreshRequest) != null ? ref.abort() : void 0;
+  };
+
+  CartView.prototype._removeShippingEstimator = function() {
+    var ref;
+    if ((ref = this.shippingEstimator) != null) {
+      ref.prepareRemove();
     }
-    return Shopify.getCartShippingRatesForDestination(shippingAddress, (function(_this) {
-      return function() {
-        var address, firstRate, j, len, price, rate, rateValues, ratesFeedback, responseText, shippingCalculatorResponse;
-        if (shippingAddress.zip.length) {
-          address = shippingAddress.zip;
-        }
-        if (shippingAddress.province.length) {
-          address = address + ", " + shippingAddress.province;
-        }
-        if (shippingAddress.country.length) {
-          address = address + ", " + shippingAddress.country;
-        }
-        shippingCalculatorResponse = $('.cart-shipping-calculator-response');
-        shippingCalculatorResponse.empty().append("<p class='shipping-calculator-response message'/><ul class='shipping-rates'/>");
-        ratesFeedback = $('.shipping-calculator-response');
-        if (rates.length > 1) {
-          firstRate = Shopify.Cart.ShippingCalculator.formatRate(rates[0].price);
-          responseText = _this.context.shipping.multiRates.replace('** address **', address).replace('** number_of_rates **', rates.length).replace('** rate **', "<span class='money'>" + firstRate + "</span>");
-          ratesFeedback.html(responseText);
-        } else if (rates.length === 1) {
-          responseText = _this.context.shipping.oneRate.replace('** address **', address);
-          ratesFeedback.html(responseText);
-        } else {
-          ratesFeedback.html(_this.context.shipping.noRates);
-        }
-        for (j = 0, len = rates.length; j < len; j++) {
-          rate = rates[j];
-          price = Shopify.Cart.ShippingCalculator.formatRate(rate.price);
-          rateValues = _this.context.shipping.rateValues.replace('** rate_title **', rate.name).replace('** rate **', "<span class='money'>" + price + "</span>");
-          $('.shipping-rates').append("<li>" + rateValues + "</li>");
-        }
-        return $('.get-rates').val(_this.context.shipping.submitButton);
+    return this.shippingEstimator = null;
+  };
+
+  CartView.prototype._removeRecommendations = function() {
+    var ref;
+    if ((ref = this.recommendations) != null) {
+      ref.prepareRemove();
+    }
+    return this.recommendations = null;
+  };
+
+  CartView.prototype._focusableSelector = 'a, button, input, select, textarea';
+
+  CartView.prototype._getFocus = function() {
+    var $focused, $row;
+    $focused = $(document.activeElement);
+    if (!$.contains(this.$content[0], $focused[0])) {
+      return null;
+    }
+    $row = $focused.closest('[data-line-key]');
+    if ($row.length) {
+      return {
+        lineKey: $row.attr('data-line-key'),
+        index: $row.find(this._focusableSelector).index($focused)
       };
-    })(this));
+    }
+    return {
+      id: $focused.attr('id')
+    };
   };
 
-  CartView.prototype.updateShippingLabel = function(select) {
-    var selectedOption;
-    if (select) {
-      select = $(select);
-      selectedOption = select.find('option:selected').val();
-      if (!selectedOption) {
-        selectedOption = select.prev('.selected-text').data('default');
-      }
-      select.prev('.selected-text').text(selectedOption);
-      return setTimeout((function(_this) {
-        return function() {
-          if (select.attr('name') === 'address[country]') {
-            return _this.updateShippingLabel(_this.$('#address_province'));
-          }
-        };
-      })(this), 500);
+  CartView.prototype._restoreFocus = function(focus) {
+    var $target;
+    if (focus == null) {
+      return;
+    }
+    if (focus.lineKey != null) {
+      $target = this.$content.find('[data-line-key]').filter(function() {
+        return $(this).attr('data-line-key') === focus.lineKey;
+      }).find(this._focusableSelector).eq(focus.index);
+    } else if (focus.id) {
+      $target = this.$content.find("#" + focus.id);
+    }
+    if ($target != null ? $target.length : void 0) {
+      return $target.focus();
     }
   };
 
@@ -1993,94 +2323,749 @@ window.CartView = (function(superClass) {
     this.$modalTitle.text(title);
     this.$modalMessage.text(message);
     this.$modalAction.text(action);
-    return this.$modalWrapper.addClass('active');
+    return this.modal.open();
   };
 
   CartView.prototype.closeModal = function() {
-    this.$modalWrapper.removeClass('active');
+    return this.modal.close();
+  };
+
+  CartView.prototype._clearModal = function() {
     this.$modalTitle.text('');
     this.$modalMessage.text('');
     return this.$modalAction.text('');
   };
 
-  CartView.prototype.handleErrors = function(errors) {
-    var errorMessage, errorText;
-    errorMessage = $.parseJSON(errors.responseText);
-    if (errorMessage.zip || errorMessage.country) {
-      errorText = '';
-      if (errorMessage.country) {
-        errorText += this.context.shipping.countryErrorMessage.replace('** error_message **', errorMessage.country) + '<br/>';
-      }
-      if (errorMessage.zip) {
-        errorText += this.context.shipping.zipErrorMessage.replace('** error_message **', errorMessage.zip);
-      }
-      return $('.cart-shipping-calculator-response').html("<p>" + errorText + "</p>");
-    } else {
-      return console.log('Error', errorMessage.stringify());
-    }
-  };
-
   return CartView;
 
 })(Backbone.View);
 
-window.CollectionView = (function(superClass) {
-  extend(CollectionView, superClass);
+window.CartDrawerView = (function(superClass) {
+  extend(CartDrawerView, superClass);
 
-  function CollectionView() {
-    return CollectionView.__super__.constructor.apply(this, arguments);
+  function CartDrawerView() {
+    return CartDrawerView.__super__.constructor.apply(this, arguments);
   }
 
-  CollectionView.prototype.events = {
-    'change .collection-tag-selector select': '_browseByTag'
-  };
-
-  CollectionView.prototype.initialize = function() {
-    return this.sectionBinding();
+  CartDrawerView.prototype.events = {
+    'click [data-cart-drawer-close]': 'close',
+    'change .cart-drawer-item-quantity': 'updateQuantity',
+    'click .cart-drawer-item-decrease': 'updateQuantity',
+    'click .cart-drawer-item-increase': 'updateQuantity',
+    'click .cart-drawer-item-remove': 'updateQuantity'
   };
 
-  CollectionView.prototype.sectionBinding = function() {
-    this.$el.on('shopify:section:load', (function(_this) {
-      return function() {
-        return _this.delegateEvents();
+  CartDrawerView.prototype.initialize = function() {
+    this.$body = $(document.body);
+    this.dialog = new Dialog(this.$el, {
+      onClose: (function(_this) {
+        return function() {
+          return _this._onClose();
+        };
+      })(this)
+    });
+    this.$items = this.$('[data-cart-drawer-items]');
+    this.$empty = this.$('[data-cart-drawer-empty]');
+    this.$footer = this.$('[data-cart-drawer-footer]');
+    this.$message = this.$('[data-cart-drawer-message]');
+    this.$subtotal = this.$('[data-cart-drawer-subtotal]');
+    this.strings = JSON.parse($('[data-cart-drawer-strings]').text());
+    this.processing = false;
+    this.isOpen = false;
+    if (this.$('[data-cart-recommendations]').length) {
+      this.recommendations = new CartRecommendations(this.$('[data-cart-recommendations]'));
+    }
+    this.$body.on('openCartDrawer.cartDrawer', (function(_this) {
+      return function(event, cart) {
+        return _this.open(cart);
       };
     })(this));
-    return this.$el.on('shopify:section:unload', (function(_this) {
-      return function() {
-        return _this.undelegateEvents();
+    this.$body.on('cart:added.cartDrawer', (function(_this) {
+      return function(event, item, cart) {
+        if (_this.isOpen) {
+          return _this.render(cart);
+        }
+      };
+    })(this));
+    return this.$body.on('cart:synced.cartDrawer', (function(_this) {
+      return function(event, cart) {
+        if (_this.isOpen) {
+          return _this.render(cart);
+        }
       };
     })(this));
   };
 
-  CollectionView.prototype._browseByTag = function(e) {
-    var fallback, newTag, select;
-    select = $(e.target);
-    fallback = select.parents(".select-wrapper").find("select").data('fallback-url');
-    newTag = select.parents(".select-wrapper").find(':selected').attr('name');
-    if (newTag === 'reset') {
-      return window.location.href = fallback;
+  CartDrawerView.prototype.open = function(cart) {
+    if (cart != null) {
+      this.render(cart);
     } else {
-      return window.location.href = fallback + "/" + newTag;
+      cartClient.getCart().done((function(_this) {
+        return function(cart) {
+          return _this.render(cart);
+        };
+      })(this));
     }
+    this.isOpen = true;
+    return this.dialog.open();
   };
 
-  return CollectionView;
-
-})(Backbone.View);
+  CartDrawerView.prototype.close = function() {
+    return this.dialog.close();
+  };
 
-window.NavigationView = (function(superClass) {
-  extend(NavigationView, superClass);
+  CartDrawerView.prototype.prepareRemove = function() {
+    var ref;
+    this.$body.off('.cartDrawer');
+    if ((ref = this.recommendations) != null) {
+      ref.prepareRemove();
+    }
+    this.dialog.prepareRemove();
+    return this.undelegateEvents();
+  };
 
-  function NavigationView() {
-    return NavigationView.__super__.constructor.apply(this, arguments);
-  }
+  CartDrawerView.prototype._onClose = function() {
+    this.isOpen = false;
+    return this.$message.empty();
+  };
 
-  NavigationView.prototype.events = {
-    'click [data-dropdown-toggle]': 'toggleNavigation',
-    'keydown [data-dropdown-toggle]': 'toggleNavigationByKey'
+  CartDrawerView.prototype.render = function(cart) {
+    var index, item, j, len, ref, ref1;
+    this.$items.empty();
+    ref = cart.items;
+    for (index = j = 0, len = ref.length; j < len; index = ++j) {
+      item = ref[index];
+      this.$items.append(this._renderItem(item, index + 1));
+    }
+    this.$empty.toggle(cart.item_count === 0);
+    this.$footer.toggle(cart.item_count > 0);
+    if ((ref1 = this.recommendations) != null) {
+      ref1.load(cart);
+    }
+    this.updatePrice(this.$subtotal, Shopify.formatMoney(cart.total_price, Theme.moneyFormat));
+    return $('.header-cart-count').text(cart.item_count).toggleClass('active', cart.item_count > 0);
   };
 
-  NavigationView.prototype.initialize = function() {
+  CartDrawerView.prototype._renderItem = function(item, line) {
+    var $details, $item, $properties, $quantity, image, name, quantityId, ref, rules, value;
+    quantityId = "cart-drawer-item-" + line;
+    rules = QuantityRules.forItem(item);
+    image = item.image ? Shopify.resizeImage(item.image, '160x160') : null;
+    $item = $('<li class="cart-drawer-item"/>').attr({
+      'data-variant': item.variant_id,
+      'data-line': line,
+      'data-line-key': item.key
+    });
+    if (image) {
+      $item.append($('<a class="cart-drawer-item-image"/>').attr('href', item.url).append($('<img/>').attr({
+        src: image,
+        alt: item.title
+      })));
+    }
+    $details = $('<div class="cart-drawer-item-details"/>').appendTo($item);
+    $details.append($('<a class="cart-drawer-item-title"/>').attr('href', item.url).text(item.product_title));
+    if (item.variant_title && !item.product_has_only_default_variant) {
+      $details.append($('<span class="cart-drawer-item-variant"/>').text(item.variant_title));
+    }
+    $properties = $('<ul class="cart-drawer-item-properties"/>');
+    ref = item.properties;
+    for (name in ref) {
+      if (!hasProp.call(ref, name)) continue;
+      value = ref[name];
+      if (!value || name.charAt(0) === '_') {
+        continue;
+      }
+      $properties.append($('<li class="cart-drawer-item-property"/>').text(name + ": " + value));
+    }
+    if ($properties.children().length) {
+      $details.append($properties);
+    }
+    $details.append($('<span class="cart-drawer-item-price money"/>').html(Shopify.formatMoney(item.line_price, Theme.moneyFormat)));
+    $quantity = $('<div class="number-input-wrapper cart-drawer-item-quantity-wrapper clearfix"/>').appendTo($details);
+    $quantity.append($('<div class="number-input-field"/>').append($('<input type="number" class="cart-drawer-item-quantity" min="0" size="1"/>').attr({
+      id: quantityId,
+      value: item.quantity,
+      step: rules.step,
+      'aria-label': this.strings.quantity,
+      'aria-describedby': quantityId + "-error"
+    }).data('quantityRules', rules)));
+    $quantity.append('<div class="number-input-nav">\n  <div class="number-input-nav-item icon icon-plus cart-drawer-item-increase"></div>\n  <div class="number-input-nav-item icon icon-minus cart-drawer-item-decrease"></div>\n</div>');
+    $details.append($('<p class="cart-drawer-item-quantity-error" role="alert" data-quantity-error/>').attr('id', quantityId + "-error"));
+    $details.append($('<button class="cart-drawer-item-remove" type="button"><span class="icon icon-cross"></span></button>').attr('aria-label', this.strings.remove));
+    if (Theme.enableCurrencyConverter) {
+      CurrencyConverter.update($item.find('.money')[0]);
+    }
+    return $item;
+  };
+
+  CartDrawerView.prototype.updatePrice = function($el, price) {
+    $el.html(price);
+    if (Theme.enableCurrencyConverter) {
+      return CurrencyConverter.update($el[0]);
+    }
+  };
+
+  CartDrawerView.prototype.updateQuantity = function(event) {
+    var $item, $quantity, $target, enteredQuantity, lineKey, message, newQuantity, oldQuantity, requestedQuantity, rules;
+    event.preventDefault();
+    if (this.processing) {
+      return;
+    }
+    $target = $(event.currentTarget);
+    $item = $target.parents('.cart-drawer-item');
+    $quantity = $item.find('.cart-drawer-item-quantity');
+    rules = $quantity.data('quantityRules');
+    oldQuantity = parseInt($quantity.attr('value'), 10);
+    enteredQuantity = parseInt($quantity.val(), 10);
+    enteredQuantity = isNaN(enteredQuantity) ? oldQuantity : enteredQuantity;
+    lineKey = $item.attr('data-line-key');
+    if ($target.hasClass('cart-drawer-item-quantity')) {
+      requestedQuantity = enteredQuantity;
+    } else if ($target.hasClass('cart-drawer-item-increase')) {
+      requestedQuantity = rules.adjust(enteredQuantity, 1, true);
+    } else if ($target.hasClass('cart-drawer-item-decrease')) {
+      requestedQuantity = rules.adjust(enteredQuantity, -1, true);
+    } else {
+      requestedQuantity = 0;
+    }
+    newQuantity = rules.clamp(requestedQuantity, true);
+    message = rules.validate(requestedQuantity, true);
+    this.$message.empty();
+    $quantity.val(newQuantity);
+    $item.find('[data-quantity-error]').text(message || '');
+    if (newQuantity === oldQuantity) {
+      return;
+    }
+    this.processing = true;
+    $item.addClass('updating');
+    return cartClient.changeLinkedItem(lineKey, newQuantity).done((function(_this) {
+      return function(cart) {
+        var cartItem;
+        cartItem = cart.items.filter(function(item) {
+          return item.key === lineKey;
+        })[0];
+        _this.render(cart);
+        if ((cartItem != null) && cartItem.quantity !== newQuantity) {
+          message = _this.strings.cartQuantityError.replace('** quantity **', cartItem.quantity).replace('** title **', cartItem.title);
+        }
+        if (message) {
+          return _this.$items.children('.cart-drawer-item').filter(function() {
+            return $(this).attr('data-line-key') === lineKey;
+          }).find('[data-quantity-error]').text(message);
+        }
+      };
+    })(this)).fail((function(_this) {
+      return function(error) {
+        $item.removeClass('updating');
+        $quantity.val(oldQuantity);
+        return $item.find('[data-quantity-error]').text(error.description);
+      };
+    })(this)).always((function(_this) {
+      return function() {
+        return _this.processing = false;
+      };
+    })(this));
+  };
+
+  return CartDrawerView;
+
+})(Backbone.View);
+
+window.CollectionView = (function(superClass) {
+  extend(CollectionView, superClass);
+
+  function CollectionView() {
+    return CollectionView.__super__.constructor.apply(this, arguments);
+  }
+
+  CollectionView.prototype.events = {
+    'change [data-collection-filter-tag]': '_filterChange',
+    'change [data-collection-filter-mode]': '_filterChange',
+    'change [data-collection-sort]': '_filterChange',
+    'click [data-collection-filter-clear]': '_clearTags',
+    'click [data-collection-pagination] .pagination-button-link': '_paginate'
+  };
+
+  CollectionView.prototype.initialize = function() {
+    this.requests = [];
+    this.defaultSort = this._defaultSort();
+    this.state = this._getUrlState();
+    this._syncForm();
+    this.sectionBinding();
+    if (!(window.history && window.history.pushState)) {
+      return;
+    }
+    window.history.replaceState({
+      collection: this.state
+    }, '', window.location.href);
+    $(window).on('popstate.collection', (function(_this) {
+      return function(event) {
+        var ref;
+        if (((ref = event.originalEvent.state) != null ? ref.collection : void 0) == null) {
+          return;
+        }
+        _this.state = event.originalEvent.state.collection;
+        _this._syncForm();
+        return _this._fetch();
+      };
+    })(this));
+    if (this.state.mode === 'or' && this.state.tags.length) {
+      return this._fetch();
+    }
+  };
+
+  CollectionView.prototype.sectionBinding = function() {
+    this.$el.on('shopify:section:load', (function(_this) {
+      return function() {
+        _this.defaultSort = _this._defaultSort();
+        _this._syncForm();
+        return _this.delegateEvents();
+      };
+    })(this));
+    return this.$el.on('shopify:section:unload', (function(_this) {
+      return function() {
+        _this._abort();
+        return _this.undelegateEvents();
+      };
+    })(this));
+  };
+
+  CollectionView.prototype._defaultSort = function() {
+    return this.$('[data-collection-filters]').attr('data-default-sort') || null;
+  };
+
+  /*
+      Read the filter state from the current URL. AND filters live in the
+      path (/collections/handle/tag-a+tag-b), which Shopify renders itself.
+      OR filters can't be expressed in the path, so they are kept in the
+      query string and resolved client-side.
+  
+      @returns {Object} { tags, mode, sortBy, page }
+   */
+
+  CollectionView.prototype._getUrlState = function() {
+    var mode, tags;
+    mode = ThemeUtils.getQueryParam('filter') === 'or' ? 'or' : 'and';
+    if (mode === 'or') {
+      tags = ThemeUtils.getQueryParam('tags') || '';
+      tags = tags.split(',');
+    } else {
+      tags = this.$('[data-collection-filters]').attr('data-current-tags') || '';
+      tags = tags.split('+');
+    }
+    return {
+      tags: tags.filter(function(tag) {
+        return tag.length;
+      }),
+      mode: mode,
+      sortBy: ThemeUtils.getQueryParam('sort_by') || this.defaultSort,
+      page: parseInt(ThemeUtils.getQueryParam('page'), 10) || 1
+    };
+  };
+
+  CollectionView.prototype._getFormState = function() {
+    var tags;
+    tags = this.$('[data-collection-filter-tag]:checked').map(function(index, input) {
+      return input.value;
+    }).get();
+    return {
+      tags: tags,
+      mode: this.$('[data-collection-filter-mode]').val() || 'and',
+      sortBy: this.$('[data-collection-sort]').val() || this.state.sortBy,
+      page: 1
+    };
+  };
+
+  CollectionView.prototype._syncForm = function() {
+    var $mode, $sort;
+    this.$('[data-collection-filter-tag]').each((function(_this) {
+      return function(index, input) {
+        return input.checked = _this.state.tags.indexOf(input.value) !== -1;
+      };
+    })(this));
+    $mode = this.$('[data-collection-filter-mode]').val(this.state.mode);
+    $sort = this.$('[data-collection-sort]');
+    if (this.state.sortBy) {
+      $sort.val(this.state.sortBy);
+    }
+    return $mode.add($sort).each(function(index, select) {
+      var $select;
+      $select = $(select);
+      return $select.siblings('.selected-text').text($select.find('option:selected').text());
+    });
+  };
+
+  CollectionView.prototype._filterChange = function() {
+    return this._update(this._getFormState());
+  };
+
+  CollectionView.prototype._clearTags = function(event) {
+    event.preventDefault();
+    this.$('[data-collection-filter-tag]').prop('checked', false);
+    return this._filterChange();
+  };
+
+  CollectionView.prototype._paginate = function(event) {
+    var $link, page;
+    event.preventDefault();
+    $link = $(event.currentTarget);
+    if ($link.hasClass('disabled')) {
+      return;
+    }
+    page = parseInt(ThemeUtils.getQueryParam('page', $link[0].search), 10) || 1;
+    return this._update(ThemeUtils.extend({}, this.state, {
+      page: page
+    }), true);
+  };
+
+  CollectionView.prototype._update = function(state, scroll) {
+    var url;
+    if (scroll == null) {
+      scroll = false;
+    }
+    this.state = state;
+    url = this._urlForState(state);
+    if (!(window.history && window.history.pushState)) {
+      return window.location.href = url;
+    }
+    window.history.pushState({
+      collection: state
+    }, '', url);
+    return this._fetch(scroll);
+  };
+
+  CollectionView.prototype._collectionUrl = function() {
+    return this.$('[data-collection-filters]').attr('data-collection-url') || window.location.pathname;
+  };
+
+  /*
+      Type and vendor collections have no handle, so their URL carries the
+      type or vendor as a query and they aren't filtered by tag.
+   */
+
+  CollectionView.prototype._urlForState = function(state) {
+    var params, path, query, ref;
+    ref = this._collectionUrl().split('?'), path = ref[0], query = ref[1];
+    params = query ? [query] : [];
+    if (state.tags.length) {
+      if (state.mode === 'or') {
+        params.push('filter=or', "tags=" + (encodeURIComponent(state.tags.join(','))));
+      } else {
+        path = path + "/" + (state.tags.join('+'));
+      }
+    }
+    if (state.sortBy && state.sortBy !== this.defaultSort) {
+      params.push("sort_by=" + (encodeURIComponent(state.sortBy)));
+    }
+    if (state.page > 1) {
+      params.push("page=" + state.page);
+    }
+    if (params.length) {
+      return path + "?" + (params.join('&'));
+    }
+    return path;
+  };
+
+  /*
+      Shopify can only match all of the tags in a URL, so an OR filter is
+      requested once per tag and the results are merged in _mergeItems.
+      Each tag is paged in step: page 2 merges the second page of every
+      tag, and there are as many pages as the tag with the most.
+  
+      @param state
+          {Object} Filter state
+  
+      @returns {Array} URLs to request
+   */
+
+  CollectionView.prototype._requestUrls = function(state) {
+    var j, len, ref, results1, tag;
+    if (!(state.mode === 'or' && state.tags.length)) {
+      return [this._urlForState(state)];
+    }
+    ref = state.tags;
+    results1 = [];
+    for (j = 0, len = ref.length; j < len; j++) {
+      tag = ref[j];
+      results1.push(this._urlForState({
+        tags: [tag],
+        mode: 'and',
+        sortBy: state.sortBy,
+        page: state.page
+      }));
+    }
+    return results1;
+  };
+
+  CollectionView.prototype._abort = function() {
+    var j, len, ref, request;
+    ref = this.requests;
+    for (j = 0, len = ref.length; j < len; j++) {
+      request = ref[j];
+      request.abort();
+    }
+    return this.requests = [];
+  };
+
+  CollectionView.prototype._fetch = function(scroll) {
+    var j, len, ref, url;
+    if (scroll == null) {
+      scroll = false;
+    }
+    this._abort();
+    this.$('[data-collection-products]').addClass('loading');
+    this.$('[data-collection-filters-error]').empty();
+    ref = this._requestUrls(this.state);
+    for (j = 0, len = ref.length; j < len; j++) {
+      url = ref[j];
+      this.requests.push($.get(url));
+    }
+    return $.when.apply($, this.requests).done((function(_this) {
+      return function() {
+        var responses;
+        responses = _this.requests.length === 1 ? [arguments[0]] : slice.call(arguments).map(function(args) {
+          return args[0];
+        });
+        _this.requests = [];
+        return _this._render(responses, scroll);
+      };
+    })(this)).fail((function(_this) {
+      return function(xhr, status) {
+        if (status === 'abort') {
+          return;
+        }
+        return _this._fail();
+      };
+    })(this));
+  };
+
+  /*
+      Fall back to loading the filtered page. OR filters are only ever
+      resolved here, so reloading would just fail again; show an error
+      instead.
+   */
+
+  CollectionView.prototype._fail = function() {
+    this.requests = [];
+    if (!(this.state.mode === 'or' && this.state.tags.length)) {
+      return window.location.href = this._urlForState(this.state);
+    }
+    this.$('[data-collection-products]').removeClass('loading');
+    return this.$('[data-collection-filters-error]').text(this.$('[data-collection-filters]').attr('data-error-message'));
+  };
+
+  /*
+      Fetch a page for the load more button. An OR filter's pages are
+      merged the same way as when filtering, anything else is requested
+      as is.
+  
+      @param url
+          {String} URL of the next page
+  
+      @returns {Promise} Resolves with the page's HTML
+   */
+
+  CollectionView.prototype.loadPage = function(url) {
+    var $link, requests, state;
+    if (!(this.state.mode === 'or' && this.state.tags.length)) {
+      return $.get(url);
+    }
+    $link = $('<a />').attr('href', url);
+    state = ThemeUtils.extend({}, this.state, {
+      page: parseInt(ThemeUtils.getQueryParam('page', $link[0].search), 10) || 1
+    });
+    requests = this._requestUrls(state).map(function(url) {
+      return $.get(url);
+    });
+    return $.when.apply($, requests).then((function(_this) {
+      return function() {
+        var $base, responses;
+        responses = requests.length === 1 ? [arguments[0]] : slice.call(arguments).map(function(args) {
+          return args[0];
+        });
+        $base = _this._compose(responses);
+        if ($base == null) {
+          return $.Deferred().reject({}, 'error').promise();
+        }
+        return $base.html();
+      };
+    })(this));
+  };
+
+  CollectionView.prototype._render = function(responses, scroll) {
+    var $base, $current, $pagination, $products;
+    $base = this._compose(responses);
+    if ($base == null) {
+      return this._fail();
+    }
+    $products = $base.find('[data-collection-products]');
+    $pagination = $base.find('[data-collection-pagination]');
+    $current = this.$('[data-collection-products]');
+    $current.trigger('theme:rimg:unwatch');
+    $current.replaceWith($products);
+    this.$('[data-collection-pagination]').replaceWith($pagination);
+    $(document.body).trigger('theme:load-more:refresh');
+    $products.trigger('theme:rimg:watch');
+    if (Theme.enableCurrencyConverter) {
+      $products.find('.money').each(function(index, priceField) {
+        return CurrencyConverter.update(priceField);
+      });
+    }
+    if (scroll) {
+      return ThemeUtils.scrollTarget($products);
+    }
+  };
+
+  /*
+      The response to render, with OR results merged into it. Returns
+      nothing if the responses aren't collection pages.
+  
+      @param responses
+          {Array} HTML of each response
+   */
+
+  CollectionView.prototype._compose = function(responses) {
+    var $base, $products, $responses;
+    $responses = responses.map(function(response) {
+      return $('<div />').append($.parseHTML(response));
+    });
+    $base = $responses.reduce(function($best, $response) {
+      if ($response.find('[data-collection-item]').length > $best.find('[data-collection-item]').length) {
+        return $response;
+      }
+      return $best;
+    });
+    $products = $base.find('[data-collection-products]');
+    if (!$products.length) {
+      return null;
+    }
+    if (this.state.mode === 'or' && this.state.tags.length) {
+      this._mergeItems($products, $responses);
+      $base.find('[data-collection-pagination]').replaceWith(this._mergePagination($responses));
+    }
+    return $base;
+  };
+
+  /*
+      Pagination for merged results: that of the tag with the most pages,
+      with its links pointing at the same pages of the OR filter.
+  
+      @param $responses
+          {Array} Parsed responses
+   */
+
+  CollectionView.prototype._mergePagination = function($responses) {
+    var $pagination;
+    $pagination = $responses.map(function($response) {
+      return $response.find('[data-collection-pagination]');
+    }).reduce(function($most, $current) {
+      var pages;
+      pages = function($pagination) {
+        return parseInt($pagination.find('[data-pagination-pages]').attr('data-pagination-pages'), 10) || 0;
+      };
+      if (pages($current) > pages($most)) {
+        return $current;
+      }
+      return $most;
+    });
+    $pagination.find('a[href]').each((function(_this) {
+      return function(index, link) {
+        var page;
+        page = parseInt(ThemeUtils.getQueryParam('page', link.search), 10) || 1;
+        return link.setAttribute('href', _this._urlForState(ThemeUtils.extend({}, _this.state, {
+          page: page
+        })));
+      };
+    })(this));
+    return $pagination;
+  };
+
+  /*
+      Merge the product cards of several responses into $products. Cards are
+      interleaved so every tag is represented near the top, duplicates are
+      dropped, and the result is re-sorted where the sort can be done with
+      the data attributes on each card.
+  
+      @param $products
+          {jQuery} Products container of the response to render
+  
+      @param $responses
+          {Array} Parsed responses
+   */
+
+  CollectionView.prototype._mergeItems = function($products, $responses) {
+    var $list, index, item, items, j, k, l, len, lists, longest, m, ref, ref1, ref2, seen;
+    lists = $responses.map(function($response) {
+      return $response.find('[data-collection-item]').toArray();
+    });
+    longest = Math.max.apply(Math, lists.map(function(list) {
+      return list.length;
+    }));
+    items = [];
+    seen = {};
+    for (index = j = 0, ref = longest; j < ref; index = j += 1) {
+      for (k = 0, len = lists.length; k < len; k++) {
+        item = lists[k][index];
+        if (!((item != null) && !seen[item.getAttribute('data-product-id')])) {
+          continue;
+        }
+        seen[item.getAttribute('data-product-id')] = true;
+        items.push(item);
+      }
+    }
+    items = this._sortItems(items, this.state.sortBy);
+    $list = $products.find('.collection-list');
+    if ($list.find('.list-row').length) {
+      $list.find('.list-row').remove();
+      for (index = l = 0, ref1 = items.length; l < ref1; index = l += 4) {
+        $('<div class="list-row" />').append(items.slice(index, index + 4)).appendTo($list);
+      }
+      return;
+    }
+    $list.find('[data-collection-item]').remove();
+    $list.append(items);
+    for (index = m = 0, ref2 = items.length; m < ref2; index = m += 1) {
+      if ($(items[index]).hasClass('collection-alternating-product')) {
+        $(items[index]).removeClass('media-aligned-left media-aligned-right').addClass("media-aligned-" + (index % 2 ? 'right' : 'left'));
+      }
+    }
+  };
+
+  CollectionView.prototype._sortItems = function(items, sortBy) {
+    var direction, key, ref;
+    ref = (sortBy || '').split('-'), key = ref[0], direction = ref[1];
+    if (['price', 'title', 'created'].indexOf(key) === -1) {
+      return items;
+    }
+    direction = direction === 'descending' ? -1 : 1;
+    return items.sort(function(a, b) {
+      var aValue, bValue;
+      aValue = a.getAttribute("data-" + key);
+      bValue = b.getAttribute("data-" + key);
+      if (key === 'title') {
+        return direction * aValue.localeCompare(bValue);
+      }
+      return direction * (parseFloat(aValue) - parseFloat(bValue));
+    });
+  };
+
+  return CollectionView;
+
+})(Backbone.View);
+
+window.NavigationView = (function(superClass) {
+  extend(NavigationView, superClass);
+
+  function NavigationView() {
+    return NavigationView.__super__.constructor.apply(this, arguments);
+  }
+
+  NavigationView.prototype.events = {
+    'click [data-dropdown-toggle]': 'toggleNavigation',
+    'keydown [data-dropdown-toggle]': 'toggleNavigationByKey'
+  };
+
+  NavigationView.prototype.initialize = function() {
     this.$dropdowns = this.$el.find('.has-dropdown');
     this.dropdownToggle = '[data-dropdown-toggle]';
     this.$el.on('click.navigation', (function(_this) {
@@ -2163,25 +3148,262 @@ window.NavigationView = (function(superClass) {
 
 })(Backbone.View);
 
-window.HeaderView = (function() {
-  function HeaderView(instance) {
-    this.window = $(window);
-    this.$document = $(document.body);
-    this.el = instance.el;
-    this.$el = $(this.el);
-    this._init();
+window.PredictiveSearch = (function() {
+
+  /*
+      Type-ahead results for a search input, using Shopify's
+      /search/suggest.json endpoint. The input names its results container
+      with aria-controls.
+  
+      @param $input
+          {jQuery} Search input with [data-predictive-search-input]
+   */
+  function PredictiveSearch($input) {
+    this.$input = $input;
+    this.$results = $("#" + ($input.attr('aria-controls')));
+    this.strings = JSON.parse($('[data-predictive-search-strings]').text());
+    this.request = null;
+    this.query = '';
+    this.selectedIndex = -1;
+    this.resultsId = this.$results.attr('id');
+    this._debouncedSearch = window.ThemeUtils.debounce(this._search, 250);
+    this._bindEvents();
   }
 
-  HeaderView.prototype._init = function() {
-    this.windowWidth = window.ThemeUtils.windowWidth();
-    this.$drawerMenu = this.$document.find('[data-header-drawer]');
-    this.$drawerToggle = this.$el.find('[data-drawer-toggle]');
+  PredictiveSearch.prototype._bindEvents = function() {
+    this.$input.on('input.predictiveSearch', (function(_this) {
+      return function() {
+        return _this._onInput();
+      };
+    })(this)).on('keydown.predictiveSearch', (function(_this) {
+      return function(event) {
+        return _this._onKeydown(event);
+      };
+    })(this)).on('focus.predictiveSearch', (function(_this) {
+      return function() {
+        if (_this.query.length && _this.$results.children().length) {
+          return _this.open();
+        }
+      };
+    })(this)).on('blur.predictiveSearch', (function(_this) {
+      return function() {
+        return _this.close();
+      };
+    })(this));
+    return this.$results.on('mousedown.predictiveSearch', function(event) {
+      return event.preventDefault();
+    });
+  };
+
+  PredictiveSearch.prototype._onInput = function() {
+    var query;
+    query = $.trim(this.$input.val());
+    if (query === this.query) {
+      return;
+    }
+    this.query = query;
+    if (!query.length) {
+      this._abort();
+      return this.close();
+    }
+    return this._debouncedSearch();
+  };
+
+  PredictiveSearch.prototype._onKeydown = function(event) {
+    var $items;
+    $items = this.$results.find('[data-predictive-search-item]');
+    switch (event.keyCode) {
+      case 40:
+        if (!$items.length) {
+          return;
+        }
+        event.preventDefault();
+        return this._select((this.selectedIndex + 1) % $items.length);
+      case 38:
+        if (!$items.length) {
+          return;
+        }
+        event.preventDefault();
+        return this._select(this.selectedIndex <= 0 ? $items.length - 1 : this.selectedIndex - 1);
+      case 13:
+        if (this.selectedIndex === -1) {
+          return;
+        }
+        event.preventDefault();
+        return window.location.href = $items.eq(this.selectedIndex).attr('href');
+      case 27:
+        if (!this.$results.hasClass('active')) {
+          return;
+        }
+        event.preventDefault();
+        return this.close();
+    }
+  };
+
+  PredictiveSearch.prototype._select = function(index) {
+    var $item, $items;
+    $items = this.$results.find('[data-predictive-search-item]');
+    $items.removeClass('active').attr('aria-selected', 'false');
+    this.selectedIndex = index;
+    $item = $items.eq(index).addClass('active').attr('aria-selected', 'true');
+    return this.$input.attr('aria-activedescendant', $item.attr('id'));
+  };
+
+  PredictiveSearch.prototype._abort = function() {
+    var ref;
+    if ((ref = this.request) != null) {
+      ref.abort();
+    }
+    return this.request = null;
+  };
+
+  PredictiveSearch.prototype._search = function() {
+    var query;
+    query = this.query;
+    if (!query.length) {
+      return;
+    }
+    this._abort();
+    this.$results.addClass('loading');
+    return this.request = $.getJSON('/search/suggest.json', {
+      q: query,
+      resources: {
+        type: 'product,collection,page,article',
+        limit: 4,
+        options: {
+          unavailable_products: 'last'
+        }
+      }
+    }).done((function(_this) {
+      return function(response) {
+        _this.request = null;
+        if (query === _this.query) {
+          return _this._render(response.resources.results);
+        }
+      };
+    })(this)).fail((function(_this) {
+      return function(xhr, status) {
+        if (status !== 'abort') {
+          _this.request = null;
+          return _this.close();
+        }
+      };
+    })(this)).always((function(_this) {
+      return function() {
+        if (_this.request == null) {
+          return _this.$results.removeClass('loading');
+        }
+      };
+    })(this));
+  };
+
+  PredictiveSearch.prototype._render = function(results) {
+    var $group, $list, count, group, item, j, k, len, len1, ref, ref1, type;
+    this.$results.empty();
+    this.selectedIndex = -1;
+    this.$input.removeAttr('aria-activedescendant');
+    count = 0;
+    ref = ['products', 'collections', 'pages', 'articles'];
+    for (j = 0, len = ref.length; j < len; j++) {
+      type = ref[j];
+      group = results[type] || [];
+      if (!group.length) {
+        continue;
+      }
+      $group = $("<div class=\"predictive-search-group predictive-search-" + type + "\" role=\"group\"/>").appendTo(this.$results);
+      $group.append($('<h3 class="predictive-search-title"/>').text(this.strings[type]));
+      $list = $('<ul class="predictive-search-list"/>').appendTo($group);
+      ref1 = group;
+      for (k = 0, len1 = ref1.length; k < len1; k++) {
+        item = ref1[k];
+        $list.append(this._renderItem(type, item, count));
+        count++;
+      }
+    }
+    if (!count) {
+      this.$results.append($('<p class="predictive-search-empty"/>').text(this.strings.noResults.replace('** terms **', this.query)));
+    }
+    this.$results.append($('<a class="predictive-search-all" role="option" data-predictive-search-item/>').attr({
+      id: this.resultsId + "-" + count,
+      href: "/search?q=" + (encodeURIComponent(this.query))
+    }).text(this.strings.viewAll.replace('** terms **', this.query)));
+    if (Theme.enableCurrencyConverter) {
+      this.$results.find('.money').each(function(index, priceField) {
+        return CurrencyConverter.update(priceField);
+      });
+    }
+    return this.open();
+  };
+
+  PredictiveSearch.prototype._renderItem = function(type, item, index) {
+    var $link, $text, image, ref;
+    image = type === 'collections' ? (ref = item.featured_image) != null ? ref.url : void 0 : item.image;
+    $link = $('<a class="predictive-search-link" role="option" aria-selected="false" data-predictive-search-item/>').attr({
+      id: this.resultsId + "-" + index,
+      href: item.url
+    });
+    if (image) {
+      $link.append($('<img class="predictive-search-image" alt=""/>').attr('src', Shopify.resizeImage(image, '100x100')));
+    }
+    $text = $('<span class="predictive-search-text"/>').appendTo($link);
+    $text.append($('<span class="predictive-search-item-title"/>').text(item.title));
+    if (type === 'products') {
+      $text.append($('<span class="predictive-search-price money"/>').html(Shopify.formatMoney(item.price, Theme.moneyFormat)));
+    }
+    return $('<li class="predictive-search-item"/>').append($link);
+  };
+
+  PredictiveSearch.prototype.open = function() {
+    this.$results.addClass('active');
+    return this.$input.attr('aria-expanded', 'true');
+  };
+
+  PredictiveSearch.prototype.close = function() {
+    this.$results.removeClass('active');
+    this.selectedIndex = -1;
+    return this.$input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+  };
+
+  PredictiveSearch.prototype.prepareRemove = function() {
+    this._abort();
+    this.$input.off('.predictiveSearch');
+    return this.$results.off('.predictiveSearch');
+  };
+
+  return PredictiveSearch;
+
+})();
+
+window.HeaderView = (function() {
+  function HeaderView(instance) {
+    this.window = $(window);
+    this.$document = $(document.body);
+    this.el = instance.el;
+    this.$el = $(this.el);
+    this._init();
+  }
+
+  HeaderView.prototype._init = function() {
+    var $freeShippingSettings;
+    this.windowWidth = window.ThemeUtils.windowWidth();
+    this.$drawerMenu = this.$document.find('[data-header-drawer]');
+    this.$drawerToggle = this.$el.find('[data-drawer-toggle]');
     this.$mainContent = $('[data-main-content]');
     this.$headerContainer = this.$el.find('[data-main-header]');
     this.$headerContent = this.$el.find('[data-header-content]');
     this.$headerLogo = this.$el.find('[data-header-logo]');
     this.$headerGoal = this.$el.find('.module-header-goal-wrapper');
     this.$searchWrapper = this.$el.find('[data-header-search]');
+    if (this.$searchWrapper.length) {
+      this.searchDialog = new Dialog(this.$searchWrapper);
+    }
+    this.predictiveSearches = this.$el.find('[data-predictive-search-input]').map(function(index, input) {
+      return new PredictiveSearch($(input));
+    }).get();
+    $freeShippingSettings = this.$el.find('[data-free-shipping-settings]');
+    if ($freeShippingSettings.length) {
+      this.freeShippingMeter = new FreeShippingMeter(JSON.parse($freeShippingSettings.text()));
+    }
     this.headerContentWidth = 0;
     this.slideShow = '[data-section-type=slideshow]';
     this.$slideShow = $(this.slideShow);
@@ -2220,13 +3442,10 @@ window.HeaderView = (function() {
         return _this.sectionChanges(null);
       };
     })(this)).on('click.search', '[data-search-toggle]', (function(_this) {
-      return function() {
+      return function(event) {
+        event.preventDefault();
         return _this._openSearch();
       };
-    })(this)).on('blur.search', '.header-search-input', (function(_this) {
-      return function() {
-        return _this._closeSearch();
-      };
     })(this)).on('click.drawer', '[data-drawer-toggle]', (function(_this) {
       return function(event) {
         return _this._toggleDrawerNav(event);
@@ -2251,6 +3470,10 @@ window.HeaderView = (function() {
       return function() {
         return _this._headerOffsets();
       };
+    })(this)).on('cart:updated.header', (function(_this) {
+      return function(event, cart) {
+        return _this._updateCartCount(cart);
+      };
     })(this));
     this.window.on('resize.header', (function(_this) {
       return function() {
@@ -2265,14 +3488,25 @@ window.HeaderView = (function() {
   };
 
   HeaderView.prototype.unBindEvents = function() {
-    var ref;
-    this.$document.off('.header-search-toggle').off('click.search', '[data-search-toggle]').off('blur.search', '.header-search-input').off('click.drawer', '[data-drawer-toggle]').off('calculateHeaderWidths').off('toggleStickyHeader').off('toggleSlideShowHeader').off('checkAnnouncementBar').off('checkHeaderOffsets');
+    var j, len, predictiveSearch, ref, ref1, ref2, ref3;
+    this.$document.off('.header-search-toggle').off('click.search', '[data-search-toggle]').off('click.drawer', '[data-drawer-toggle]').off('calculateHeaderWidths').off('toggleStickyHeader').off('toggleSlideShowHeader').off('checkAnnouncementBar').off('checkHeaderOffsets').off('cart:updated.header');
     this.navigation.prepareRemove();
     this.navigation.undelegateEvents();
     delete this.navigation;
     if ((ref = this.goal) != null) {
       ref.remove();
     }
+    ref1 = this.predictiveSearches;
+    for (j = 0, len = ref1.length; j < len; j++) {
+      predictiveSearch = ref1[j];
+      predictiveSearch.prepareRemove();
+    }
+    if ((ref2 = this.freeShippingMeter) != null) {
+      ref2.prepareRemove();
+    }
+    if ((ref3 = this.searchDialog) != null) {
+      ref3.prepareRemove();
+    }
     this.window.off('resize.header');
     return this.window.off('scroll.header');
   };
@@ -2447,22 +3681,19 @@ window.HeaderView = (function() {
   };
 
   HeaderView.prototype._openSearch = function() {
+    var ref;
     if (window.innerWidth <= 720) {
-      window.location.href = '/search';
+      if (!this.$document.hasClass('showing-drawer')) {
+        this._toggleDrawerNav();
+      }
+      this.$drawerMenu.find('.drawer-search-input').focus();
       return;
     }
-    this.$el.find('.header-search-wrapper').addClass('active').find('input').focus();
-    return this.$el.find('.header-search-wrapper').on('keyup.search', (function(_this) {
-      return function(e) {
-        if (e.keyCode === 27) {
-          return _this._closeSearch();
-        }
-      };
-    })(this));
+    return (ref = this.searchDialog) != null ? ref.open() : void 0;
   };
 
-  HeaderView.prototype._closeSearch = function() {
-    return this.$el.find('.header-search-wrapper').removeClass('active').off('keyup.search');
+  HeaderView.prototype._updateCartCount = function(cart) {
+    return this.$el.find('.header-cart-count').text(cart.item_count).toggleClass('active', cart.item_count > 0);
   };
 
   HeaderView.prototype._checkAnnouncementBar = function(data) {
@@ -3216,6 +4447,8 @@ var PxsVideo = function () {
   return PxsVideo;
 }();
 
+PxsVideo.Video = Video;
+
 return PxsVideo;
 
 })));
@@ -3646,6 +4879,76 @@ window.ThemeUtils = {
     })(this));
     return anchors.attr('target', '_blank');
   },
+  getQueryParam: function(name, search) {
+    var index, j, len, param, params, value;
+    if (search == null) {
+      search = window.location.search;
+    }
+    params = search.replace(/^\?/, '').split('&');
+    for (j = 0, len = params.length; j < len; j++) {
+      param = params[j];
+      index = param.indexOf('=');
+      if (ThemeUtils.decodeQueryPart(index === -1 ? param : param.slice(0, index)) !== name) {
+        continue;
+      }
+      value = ThemeUtils.decodeQueryPart(index === -1 ? '' : param.slice(index + 1));
+      if (value != null) {
+        return value;
+      }
+    }
+    return null;
+  },
+  setQueryParam: function(name, value) {
+    var params, search;
+    params = window.location.search.replace(/^\?/, '').split('&').filter(function(param) {
+      return param.length && ThemeUtils.decodeQueryPart(param.split('=')[0]) !== name;
+    });
+    if ((value != null) && value !== '') {
+      params.push((encodeURIComponent(name)) + "=" + (encodeURIComponent(value)));
+    }
+    search = params.length ? "?" + (params.join('&')) : '';
+    return window.location.pathname + search + window.location.hash;
+  },
+
+  /*
+      Decode part of a query string, or null if it's malformed.
+   */
+  decodeQueryPart: function(part) {
+    var error;
+    try {
+      return decodeURIComponent(part.replace(/\+/g, ' '));
+    } catch (error1) {
+      error = error1;
+      return null;
+    }
+  },
+  getStored: function(key, fallback) {
+    var error, value;
+    if (fallback == null) {
+      fallback = null;
+    }
+    try {
+      value = JSON.parse(localStorage.getItem(key));
+    } catch (error1) {
+      error = error1;
+      return fallback;
+    }
+    if (value != null) {
+      return value;
+    } else {
+      return fallback;
+    }
+  },
+  store: function(key, value) {
+    var error;
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error1) {
+      error = error1;
+      return false;
+    }
+  },
   extend: function() {
     var dest, j, k, len, obj, objs, v;
     dest = arguments[0], objs = 2 <= arguments.length ? slice.call(arguments, 1) : [];
@@ -3673,1015 +4976,2325 @@ window.ThemeUtils = {
   }
 };
 
-window.TestimonialView = (function(superClass) {
-  extend(TestimonialView, superClass);
+window.QuantityRules = (function() {
 
-  function TestimonialView() {
-    return TestimonialView.__super__.constructor.apply(this, arguments);
+  /*
+      Quantity limits for a variant: a minimum, an optional maximum and the
+      increment quantities must be a multiple of. When Shopify tracks the
+      variant's inventory and won't oversell, what's available caps the
+      maximum too.
+  
+      @param rules
+          {Object} min, max, step and available. Missing limits are null.
+   */
+  function QuantityRules(rules) {
+    if (rules == null) {
+      rules = {};
+    }
+    this.step = Math.max(parseInt(rules.step, 10) || 1, 1);
+    this.min = Math.max(parseInt(rules.min, 10) || this.step, 1);
+    this.max = QuantityRules._parseLimit(rules.max);
+    this.available = QuantityRules._parseLimit(rules.available);
   }
 
-  TestimonialView.prototype.events = {
-    "click .home-testimonials-pagination-list-item": "paginate",
-    "click .home-testimonials-navigation-item a": "navigate"
-  };
+  QuantityRules.variants = {};
 
-  TestimonialView.prototype.initialize = function() {
-    var count, slide;
-    this.slideList = this.$(".home-testimonials-slides-list");
-    this.pageList = this.$(".home-testimonials-pagination-list");
-    this.$window = $(window);
-    this.$navigationItem = this.$('.home-testimonials-navigation-item a');
-    slide = this.slideList.children();
-    count = this.slideList.children().length;
-    if (count > 1) {
-      slide.last().clone().removeAttr("data-position").addClass("cloned").prependTo(this.slideList);
-      slide.first().clone().removeAttr("data-position").addClass("cloned").appendTo(this.slideList);
-    } else {
-      this.slideList.parents(".home-testimonials").addClass("static");
-    }
-    this.slideHeight(1);
-    this.slideWidth();
-    if (count > 1) {
-      this.slideRotate(1);
-    }
-    this.slideList.parents(".home-testimonials").addClass("ready");
-    this.$window.on('resize.testimonials', (function(_this) {
-      return function() {
-        var index;
-        index = _this.slideList.children(".active").attr("data-position");
-        _this.slideHeight(index);
-        _this.slideWidth();
-        if (count > 1) {
-          return _this.slideAnim(index);
-        }
-      };
-    })(this));
-    return this.$navigationItem.on('mouseout.testimonials', (function(_this) {
-      return function(event) {
-        return $(event.currentTarget).blur();
-      };
-    })(this));
+  /*
+      Remember the rules for a variant, so a cart line for it can use them
+      even where Shopify doesn't include them.
+   */
+
+  QuantityRules.store = function(variantId, rules) {
+    return QuantityRules.variants[variantId] = new QuantityRules(rules);
   };
 
-  TestimonialView.prototype.slideHeight = function(index) {
-    return this.slideList.height(this.slideList.children("div[data-position='" + index + "']").height());
+  QuantityRules.forVariant = function(variantId) {
+    var ref;
+    return (ref = QuantityRules.variants[variantId]) != null ? ref : new QuantityRules();
   };
 
-  TestimonialView.prototype.slideWidth = function() {
-    this.slideList.width(this.slideList.parent().width() * this.slideList.children().length);
-    return this.slideList.children().width(this.slideList.parent().width());
+  /*
+      Rules for a line item from /cart.js.
+   */
+
+  QuantityRules.forItem = function(item) {
+    var rule;
+    if (QuantityRules.variants[item.variant_id] != null) {
+      return QuantityRules.variants[item.variant_id];
+    }
+    rule = item.quantity_rule || {};
+    return new QuantityRules({
+      min: rule.min,
+      max: rule.max,
+      step: rule.increment
+    });
   };
 
-  TestimonialView.prototype.slideAnim = function(index) {
-    return this.slideList.css({
-      "margin-left": -index * this.slideList.parent().width()
+  /*
+      Rules rendered onto a quantity input as data-quantity-min, -max, -step
+      and -available attributes.
+   */
+
+  QuantityRules.forInput = function($input) {
+    return new QuantityRules({
+      min: $input.attr('data-quantity-min'),
+      max: $input.attr('data-quantity-max'),
+      step: $input.attr('data-quantity-step'),
+      available: $input.attr('data-quantity-available')
     });
   };
 
-  TestimonialView.prototype.slideRotate = function(index) {
-    this.slideList.children().removeClass("active");
-    this.pageList.children().removeClass("active");
-    this.slideList.children("div[data-position='" + index + "']").addClass("active");
-    this.pageList.children("a[data-position='" + index + "']").addClass("active");
-    return this.slideAnim(index);
+  QuantityRules._parseLimit = function(value) {
+    value = parseInt(value, 10);
+    if (isNaN(value)) {
+      return null;
+    } else {
+      return Math.max(value, 0);
+    }
   };
 
-  TestimonialView.prototype.paginate = function(event, index) {
-    if (event == null) {
-      event = false;
+  QuantityRules.prototype.limit = function() {
+    var limits;
+    limits = [this.max, this.available].filter(function(limit) {
+      return limit != null;
+    });
+    if (limits.length) {
+      return Math.min.apply(Math, limits);
+    } else {
+      return null;
     }
-    if (index == null) {
-      index = false;
+  };
+
+  /*
+      The quantity one step up or down. Stepping down past the minimum
+      gives 0 where the quantity can be removed, such as a cart line.
+   */
+
+  QuantityRules.prototype.adjust = function(quantity, direction, removable) {
+    var next;
+    next = quantity + direction * this.step;
+    if (direction < 0 && removable && next < this.min) {
+      return 0;
     }
-    if (event) {
-      event.preventDefault();
+    return next;
+  };
+
+  /*
+      The nearest allowed quantity.
+   */
+
+  QuantityRules.prototype.clamp = function(quantity, removable) {
+    var limit;
+    if (isNaN(quantity)) {
+      return this.min;
     }
-    if ($(event.currentTarget).hasClass('active') && !index) {
-      return;
+    if (removable && quantity <= 0) {
+      return 0;
     }
-    if (event && !index) {
-      index = $(event.currentTarget).attr('data-position');
+    quantity = Math.max(Math.round(quantity / this.step) * this.step, this.min);
+    limit = this.limit();
+    if (limit != null && quantity > limit) {
+      quantity = Math.floor(limit / this.step) * this.step;
+      if (quantity < this.min) {
+        return removable ? 0 : this.min;
+      }
     }
-    this.slideRotate(index);
-    return this.slideHeight(index);
+    return quantity;
   };
 
-  TestimonialView.prototype.navigate = function(event) {
-    var $navigation, index;
-    if (event) {
-      event.preventDefault();
+  /*
+      Why a quantity isn't allowed, or null if it is.
+   */
+
+  QuantityRules.prototype.validate = function(quantity, removable) {
+    if (isNaN(quantity) || (removable && quantity === 0)) {
+      return null;
     }
-    $navigation = $(event.currentTarget).parent('div');
-    if ($navigation.hasClass("next-slide")) {
-      if (!this.slideList.children(".active").next().hasClass("cloned")) {
-        index = this.slideList.children(".active").next().attr("data-position");
-      } else {
-        index = 1;
-      }
+    if (quantity < this.min) {
+      return this._message('min', this.min);
     }
-    if ($navigation.hasClass("previous-slide")) {
-      if (!this.slideList.children(".active").prev().hasClass("cloned")) {
-        index = this.slideList.children(".active").prev().attr("data-position");
-      } else {
-        index = this.slideList.children().length - 2;
-      }
+    if ((this.available != null) && quantity > this.available) {
+      return this._message('available', this.available);
     }
-    this.slideRotate(index);
-    return this.slideHeight(index);
+    if ((this.max != null) && quantity > this.max) {
+      return this._message('max', this.max);
+    }
+    if (quantity % this.step !== 0) {
+      return this._message('step', this.step);
+    }
+    return null;
   };
 
-  TestimonialView.prototype.prepareRemove = function() {
-    this.$navigationItem.off('mouseout.testimonials');
-    return this.$window.off('resize.testimonials');
+  QuantityRules.prototype._message = function(type, quantity) {
+    return Theme.quantityRules[type].replace('** quantity **', quantity);
   };
 
-  return TestimonialView;
+  return QuantityRules;
 
-})(Backbone.View);
+})();
 
-window.VideoView = (function(superClass) {
-  extend(VideoView, superClass);
+window.CartClient = (function() {
 
-  function VideoView() {
-    return VideoView.__super__.constructor.apply(this, arguments);
+  /*
+      Promise based wrapper around the Shopify AJAX cart API.
+  
+      Requests are queued so they reach Shopify one at a time, in the order
+      they were made. Each call returns a jQuery promise that is rejected
+      with the parsed error response, leaving error handling to the caller
+      instead of the global Shopify.onError.
+  
+      After every mutation a typed event is triggered on the body
+      (cart:added, cart:changed, cart:note, cart:attributes or
+      cart:discounts), followed by cart:updated with the resulting cart.
+  
+      Changes are also broadcast to other open tabs, and the cart is re-read
+      when a page is restored from the back/forward cache. Either way
+      cart:synced is triggered, followed by cart:updated, so views rendered
+      by Liquid know to refresh.
+   */
+  function CartClient() {
+    this.queue = $.Deferred().resolve().promise();
+    this._listen();
   }
 
-  VideoView.prototype.events = {
-    'click [data-overlay-play]': 'activateVideo'
-  };
+  CartClient.shippingRatesInterval = 500;
 
-  VideoView.prototype.initialize = function() {
-    return this.$el.fitVids();
+  CartClient.shippingRatesAttempts = 20;
+
+  CartClient.syncKey = 'cartSync';
+
+  CartClient.prototype.getCart = function() {
+    return this._request({
+      type: 'GET',
+      url: '/cart.js'
+    });
   };
 
-  VideoView.prototype.activateVideo = function(event) {
-    var $overlay, $target, $video, $videoWrapper;
-    $target = $(event.currentTarget);
-    $videoWrapper = $target.parents('[data-video-wrapper]');
-    $overlay = $videoWrapper.find('[data-video-overlay]');
-    $video = $videoWrapper.find('iframe');
-    if (!$video.length) {
-      return;
+  CartClient.prototype.addItem = function(variantId, quantity, properties) {
+    if (quantity == null) {
+      quantity = 1;
     }
-    $videoWrapper.addClass("active");
-    setTimeout((function(_this) {
-      return function() {
-        return $overlay.addClass('inactive');
-      };
-    })(this), 200);
-    return setTimeout((function(_this) {
-      return function() {
-        var $videoSrc, $videoSrcNew, delimiter;
-        $videoSrc = $video.attr('src');
-        delimiter = ($videoSrc != null ? $videoSrc.indexOf('?') : void 0) === -1 ? '?' : '&';
-        $videoSrcNew = ($videoSrc + delimiter) + "autoplay=1";
-        $video.attr('src', $videoSrcNew);
-        return $overlay.remove();
-      };
-    })(this), 400);
+    if (properties == null) {
+      properties = {};
+    }
+    return this._add({
+      id: variantId,
+      quantity: quantity,
+      properties: properties
+    });
   };
 
-  return VideoView;
-
-})(Backbone.View);
-
-window.HomeView = (function(superClass) {
-  extend(HomeView, superClass);
+  /*
+      Add several variants in one request.
+  
+      @param items
+          {Array} Objects with an id, quantity and optional properties
+   */
 
-  function HomeView() {
-    return HomeView.__super__.constructor.apply(this, arguments);
-  }
+  CartClient.prototype.addItems = function(items) {
+    return this._add({
+      items: items
+    });
+  };
 
-  HomeView.prototype.initialize = function() {
-    this.sections = new ThemeEditor();
-    this.sections.register('slideshow', this.slideShow(this.sections));
-    this.sections.register('alternating-content', this.alternatingContent(this.sections));
-    this.sections.register('images-with-text', this.imagesWithText(this.sections));
-    this.sections.register('testimonials', this.testimonials(this.sections));
-    this.sections.register('pxs-map', this.map(this.sections));
-    return this.sections.register('pxs-video', this.video(this.sections));
+  CartClient.prototype.addItemFromForm = function(form) {
+    return this._add($(form).serialize());
   };
 
-  HomeView.prototype.slideShow = function(sections) {
-    return {
-      instances: {},
-      el: '[data-section-type="slideshow"]',
-      init: function(instance) {
-        return this.instances[instance.sectionId] = new SlideshowView({
-          el: $(this.el)
-        });
-      },
-      onSectionLoad: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        if (!this.instances[instance.sectionId]) {
-          return this.init(instance);
-        }
-      },
-      onSectionUnload: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        this.instances[instance.sectionId].setupHeader();
-        this.instances[instance.sectionId].prepareRemove();
-        this.instances[instance.sectionId].setSlideshowClasses(null);
-        this.instances[instance.sectionId].remove();
-        return delete this.instances[instance.sectionId];
-      },
-      onSectionSelect: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        this.instances[instance.sectionId].setupHeader();
-        return this.instances[instance.sectionId].setSlideshowClasses(null);
-      },
-      onBlockSelect: function(event) {
-        var instanceHandler;
-        instanceHandler = this.instances[sections.getInstance(event).sectionId];
-        return instanceHandler.lockSlide(event);
-      },
-      onBlockDeselect: function(event) {
-        var instanceHandler;
-        instanceHandler = this.instances[sections.getInstance(event).sectionId];
-        return instanceHandler.unlockSlide();
+  /*
+      Change the quantity of a cart line.
+  
+      @param id
+          {Number|String} Variant id, or line item key when the same variant
+          can appear on more than one line
+  
+      @param quantity
+          {Number} New quantity, 0 removes the line
+   */
+
+  CartClient.prototype.changeItem = function(id, quantity) {
+    return this._mutate('changed', {
+      type: 'POST',
+      url: '/cart/change.js',
+      data: {
+        id: id,
+        quantity: quantity
       }
-    };
+    });
   };
 
-  HomeView.prototype.alternatingContent = function(sections) {
-    return {
-      instances: {},
-      init: function(instance) {
-        var $video;
-        $video = instance.$container.find('[data-video-wrapper]');
-        if ($video.length) {
-          return this.instances[instance.sectionId] = new VideoView({
-            el: $video
-          });
-        } else {
-          return this.instances[instance.sectionId] = null;
-        }
-      },
-      onSectionLoad: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        if (!this.instances[instance.sectionId]) {
-          return this.init(instance);
-        }
-      },
-      onSectionUnload: function(event) {
-        var instance, ref;
-        instance = sections.getInstance(event);
-        if ((ref = this.instances[instance.sectionId]) != null) {
-          ref.remove();
+  /*
+      Change a cart line along with the lines linked to it: those with a
+      `_for` property matching the line's `_personalization` id, such as
+      personalization surcharges. Linked lines always match the line's
+      quantity, so removing the line removes them too.
+  
+      @param key
+          {String} Line item key
+  
+      @param quantity
+          {Number} New quantity, 0 removes the lines
+   */
+
+  CartClient.prototype.changeLinkedItem = function(key, quantity) {
+    return this.getCart().then((function(_this) {
+      return function(cart) {
+        var item, linked, personalizationId, ref, updates;
+        item = cart.items.filter(function(item) {
+          return item.key === key;
+        })[0];
+        personalizationId = item != null ? (ref = item.properties) != null ? ref._personalization : void 0 : void 0;
+        linked = personalizationId ? cart.items.filter(function(item) {
+          var ref1;
+          return ((ref1 = item.properties) != null ? ref1._for : void 0) === personalizationId;
+        }) : [];
+        if (!linked.length) {
+          return _this.changeItem(key, quantity);
         }
-        return delete this.instances[instance.sectionId];
-      }
-    };
+        updates = {};
+        updates[key] = quantity;
+        linked.forEach(function(item) {
+          return updates[item.key] = quantity;
+        });
+        return _this._mutate('changed', {
+          type: 'POST',
+          url: '/cart/update.js',
+          data: {
+            updates: updates
+          }
+        });
+      };
+    })(this));
   };
 
-  HomeView.prototype.imagesWithText = function(sections) {
-    return {
-      instances: {},
-      init: function(instance) {
-        return this.instances[instance.sectionId] = new ImagesWithTextView({
-          el: instance.$container
-        });
-      },
-      onSectionLoad: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        if (!this.instances[instance.sectionId]) {
-          return this.init(instance);
-        }
-      },
-      onSectionUnload: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        this.instances[instance.sectionId].remove();
-        return delete this.instances[instance.sectionId];
-      },
-      onBlockSelect: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        return this.instances[instance.sectionId].updateSlidePagination($(event.target).attr('data-position'));
+  CartClient.prototype.updateNote = function(note) {
+    return this._mutate('note', {
+      type: 'POST',
+      url: '/cart/update.js',
+      data: {
+        note: note
       }
-    };
+    });
   };
 
-  HomeView.prototype.testimonials = function(sections) {
-    return {
-      instances: {},
-      init: function(instance) {
-        return this.instances[instance.sectionId] = new TestimonialView({
-          el: instance.$container
-        });
-      },
-      onSectionLoad: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        if (!this.instances[instance.sectionId]) {
-          return this.init(instance);
-        }
-      },
-      onSectionUnload: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        this.instances[instance.sectionId].prepareRemove();
-        this.instances[instance.sectionId].remove();
-        return delete this.instances[instance.sectionId];
-      },
-      onBlockSelect: function(event) {
-        var index, instance;
-        instance = sections.getInstance(event);
-        index = $(event.target).attr('data-index');
-        return this.instances[instance.sectionId].paginate(false, index);
+  /*
+      Save cart attributes, which are carried through to checkout.
+  
+      @param attributes
+          {Object} Attribute names and values, an empty value removes one
+   */
+
+  CartClient.prototype.updateAttributes = function(attributes) {
+    return this._mutate('attributes', {
+      type: 'POST',
+      url: '/cart/update.js',
+      data: {
+        attributes: attributes
       }
-    };
+    });
   };
 
-  HomeView.prototype.map = function(sections) {
-    return {
-      instances: {},
-      init: function(instance) {
-        return this.instances[instance.sectionId] = new PxsMap(instance);
-      },
-      onSectionLoad: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        if (!this.instances[instance.sectionId]) {
-          return this.init(instance);
-        }
-      },
-      onSectionUnload: function(event) {
-        var sectionId;
-        sectionId = sections.getInstance(event).sectionId;
-        this.instances[sectionId].onSectionUnload();
-        return delete this.instances[sectionId];
+  /*
+      Replace the discount codes applied to the cart. Shopify keeps codes
+      that don't apply yet, marked as not applicable.
+  
+      @param codes
+          {Array} Discount codes, empty to remove them all
+   */
+
+  CartClient.prototype.updateDiscounts = function(codes) {
+    return this._mutate('discounts', {
+      type: 'POST',
+      url: '/cart/update.js',
+      data: {
+        discount: codes.join(',')
       }
-    };
+    });
   };
 
-  HomeView.prototype.video = function(sections) {
-    return {
-      instances: {},
-      init: function(instance) {
-        return this.instances[instance.sectionId] = new PxsVideo(instance);
-      },
-      onSectionLoad: function(event) {
-        var instance;
-        instance = sections.getInstance(event);
-        if (!this.instances[instance.sectionId]) {
-          return this.init(instance);
-        }
-      },
-      onSectionUnload: function(event) {
-        var sectionId;
-        sectionId = sections.getInstance(event).sectionId;
-        this.instances[sectionId].onSectionUnload();
-        return delete this.instances[sectionId];
-      }
-    };
-  };
+  /*
+      Shipping rates for the cart are calculated asynchronously, so ask
+      Shopify to prepare them and then poll until they are ready.
+  
+      @param address
+          {Object} Destination with country, province and zip
+  
+      Resolves with the list of rates, or rejects with the per-field errors
+      Shopify returns for an invalid address.
+   */
 
-  return HomeView;
+  CartClient.prototype.getShippingRates = function(address) {
+    return this._exclusive((function(_this) {
+      return function() {
+        return _this._quote({
+          shipping_address: address
+        });
+      };
+    })(this));
+  };
 
-})(Backbone.View);
+  /*
+      Shipping rates for the cart with one of a variant added, for quotes on
+      the product page. If the variant is already in the cart the cart is
+      quoted as it is. Otherwise one is added and taken back out again
+      within a single turn of the queue, so no other change can land in
+      between, and no events are triggered for it.
+   */
 
-window.GiftCardView = (function(superClass) {
-  extend(GiftCardView, superClass);
+  CartClient.prototype.getVariantShippingRates = function(address, variantId) {
+    return this._exclusive((function(_this) {
+      return function() {
+        var data;
+        data = {
+          shipping_address: address
+        };
+        return _this._send({
+          type: 'GET',
+          url: '/cart.js'
+        }).then(function(cart) {
+          var inCart;
+          inCart = cart.items.some(function(item) {
+            return item.variant_id === variantId;
+          });
+          if (inCart) {
+            return _this._quote(data);
+          }
+          return _this._send({
+            type: 'POST',
+            url: '/cart/add.js',
+            data: {
+              id: variantId,
+              quantity: 1
+            }
+          }).then(function(item) {
+            var deferred, rates;
+            deferred = $.Deferred();
+            rates = _this._quote(data);
+            rates.always(function() {
+              return _this._removeOne(item.key).always(function() {
+                return rates.then(deferred.resolve, deferred.reject);
+              });
+            });
+            return deferred.promise();
+          });
+        });
+      };
+    })(this));
+  };
 
-  function GiftCardView() {
-    return GiftCardView.__super__.constructor.apply(this, arguments);
-  }
+  /*
+      Add to cart, then fetch the cart so listeners get the new totals.
+      Resolves with the added item and the cart.
+   */
 
-  GiftCardView.prototype.initialize = function() {
-    return this.addQrCode();
+  CartClient.prototype._add = function(data) {
+    return this._request({
+      type: 'POST',
+      url: '/cart/add.js',
+      data: data
+    }).then((function(_this) {
+      return function(item) {
+        return _this.getCart().then(function(cart) {
+          $(document.body).trigger('cart:added', [item, cart]);
+          $(document.body).trigger('cart:updated', [cart]);
+          _this._broadcast(cart);
+          return $.Deferred().resolve(item, cart).promise();
+        });
+      };
+    })(this));
   };
 
-  GiftCardView.prototype.addQrCode = function() {
-    var qrWrapper;
-    qrWrapper = $('[data-qr-code]');
-    return new QRCode(qrWrapper[0], {
-      text: qrWrapper.data('qr-code'),
-      width: 120,
-      height: 120
-    });
+  CartClient.prototype._mutate = function(type, options) {
+    return this._request(options).done((function(_this) {
+      return function(cart) {
+        $(document.body).trigger("cart:" + type, [cart]);
+        $(document.body).trigger('cart:updated', [cart]);
+        return _this._broadcast(cart);
+      };
+    })(this));
   };
 
-  return GiftCardView;
-
-})(Backbone.View);
-
-window.ListCollectionsView = (function(superClass) {
-  extend(ListCollectionsView, superClass);
-
-  function ListCollectionsView() {
-    return ListCollectionsView.__super__.constructor.apply(this, arguments);
-  }
-
-  ListCollectionsView.prototype.events = {};
+  /*
+      Let other tabs know the cart changed. BroadcastChannel is used where
+      supported, otherwise a localStorage write raises a storage event in
+      the other tabs.
+  
+      @param cart
+          {Object} The cart after the change
+   */
 
-  ListCollectionsView.prototype.initialize = function() {
-    var collection, collectionDetails, collections, j, len, results1;
-    if ($('html').hasClass('lt-ie9')) {
-      collections = this.$('.collection-list-item');
-      results1 = [];
-      for (j = 0, len = collections.length; j < len; j++) {
-        collection = collections[j];
-        collectionDetails = $(collection).find('.collection-details');
-        results1.push(this.verticallyAlignText(collectionDetails));
-      }
-      return results1;
+  CartClient.prototype._broadcast = function(cart) {
+    if (this.channel != null) {
+      this.channel.postMessage(cart);
+      return;
     }
-  };
-
-  ListCollectionsView.prototype.verticallyAlignText = function(collectionDetails) {
-    var textHeight;
-    textHeight = collectionDetails.height();
-    return collectionDetails.css({
-      marginTop: -(textHeight / 2)
+    return ThemeUtils.store(CartClient.syncKey, {
+      cart: cart,
+      time: Date.now()
     });
   };
 
-  ListCollectionsView.prototype.render = function() {};
-
-  return ListCollectionsView;
-
-})(Backbone.View);
-
-window.AccordionView = (function(superClass) {
-  extend(AccordionView, superClass);
-
-  function AccordionView() {
-    return AccordionView.__super__.constructor.apply(this, arguments);
-  }
+  CartClient.prototype._listen = function() {
+    if (window.BroadcastChannel != null) {
+      this.channel = new BroadcastChannel(CartClient.syncKey);
+      this.channel.onmessage = (function(_this) {
+        return function(event) {
+          return _this._sync(event.data);
+        };
+      })(this);
+    } else {
+      $(window).on('storage', (function(_this) {
+        return function(event) {
+          var data, error, ref;
+          if (event.originalEvent.key !== CartClient.syncKey || !event.originalEvent.newValue) {
+            return;
+          }
+          try {
+            data = JSON.parse(event.originalEvent.newValue);
+          } catch (error1) {
+            error = error1;
+            return;
+          }
+          return _this._sync((ref = data) != null ? ref.cart : void 0);
+        };
+      })(this));
+    }
+    return $(window).on('pageshow', (function(_this) {
+      return function(event) {
+        if (!event.originalEvent.persisted) {
+          return;
+        }
+        return _this.getCart().done(function(cart) {
+          return _this._sync(cart);
+        });
+      };
+    })(this));
+  };
 
-  AccordionView.prototype.events = {
-    'click [data-accordion-trigger]': '_toggle'
+  CartClient.prototype._sync = function(cart) {
+    if (cart == null) {
+      return;
+    }
+    $(document.body).trigger('cart:synced', [cart]);
+    return $(document.body).trigger('cart:updated', [cart]);
   };
 
-  AccordionView.prototype.initialize = function() {
-    this.accordionContent = '[data-accordion-content]';
-    this.accordionTrigger = '[data-accordion-trigger]';
-    return this.activeAccordion = 'accordion-active';
+  CartClient.prototype._quote = function(data) {
+    return this._send({
+      type: 'POST',
+      url: '/cart/prepare_shipping_rates.json',
+      data: data,
+      dataType: 'text'
+    }).then((function(_this) {
+      return function() {
+        return _this._pollShippingRates(data, 1);
+      };
+    })(this));
   };
 
-  AccordionView.prototype._toggle = function(event) {
-    var $content, $target, trigger;
-    event.preventDefault();
-    $target = $(event.currentTarget);
-    trigger = $target.attr('data-accordion-trigger');
-    $content = $("[data-accordion-content=" + trigger + "]");
-    if ($target.hasClass(this.activeAccordion)) {
-      return this._close($target, $content);
-    } else {
-      this._closeAll();
-      return this._open($target, $content);
-    }
+  /*
+      Take one of a line back out, from its quantity now rather than when
+      it was added.
+   */
+
+  CartClient.prototype._removeOne = function(key) {
+    return this._send({
+      type: 'GET',
+      url: '/cart.js'
+    }).then((function(_this) {
+      return function(cart) {
+        var item;
+        item = cart.items.filter(function(item) {
+          return item.key === key;
+        })[0];
+        if (item == null) {
+          return cart;
+        }
+        return _this._send({
+          type: 'POST',
+          url: '/cart/change.js',
+          data: {
+            id: key,
+            quantity: item.quantity - 1
+          }
+        });
+      };
+    })(this));
   };
 
-  AccordionView.prototype._closeAll = function() {
-    return $(this.accordionTrigger).each((function(_this) {
-      return function(index, accordion) {
-        var $target;
-        $target = $(accordion);
-        if ($target.hasClass(_this.activeAccordion)) {
-          return $target.trigger('click');
+  CartClient.prototype._pollShippingRates = function(data, attempt) {
+    return this._send({
+      type: 'GET',
+      url: '/cart/async_shipping_rates.json',
+      data: data
+    }).then((function(_this) {
+      return function(response) {
+        var deferred;
+        if ((response != null ? response.shipping_rates : void 0) != null) {
+          return response.shipping_rates;
         }
+        deferred = $.Deferred();
+        if (attempt >= CartClient.shippingRatesAttempts) {
+          return deferred.reject({}).promise();
+        }
+        setTimeout(function() {
+          return _this._pollShippingRates(data, attempt + 1).then(deferred.resolve, deferred.reject);
+        }, CartClient.shippingRatesInterval);
+        return deferred.promise();
       };
     })(this));
   };
 
-  AccordionView.prototype._open = function($target, $content) {
-    return $content.slideDown({
-      duration: 400,
-      start: (function(_this) {
-        return function() {
-          return $target.addClass(_this.activeAccordion);
-        };
-      })(this)
-    });
+  CartClient.prototype._request = function(options) {
+    return this._exclusive((function(_this) {
+      return function() {
+        return _this._send(options);
+      };
+    })(this));
   };
 
-  AccordionView.prototype._close = function($target, $content) {
-    return $content.slideUp({
-      duration: 400,
-      start: (function(_this) {
-        return function() {
-          return $target.removeClass(_this.activeAccordion);
-        };
-      })(this)
+  /*
+      Run a task that makes several requests with _send as one turn of the
+      queue. The next queued request waits until the task settles.
+   */
+
+  CartClient.prototype._exclusive = function(task) {
+    var deferred;
+    deferred = $.Deferred();
+    this.queue = this.queue.then(function() {
+      var settled;
+      settled = $.Deferred();
+      task().done(deferred.resolve).fail(deferred.reject).always(function() {
+        return settled.resolve();
+      });
+      return settled.promise();
     });
+    return deferred.promise();
   };
 
-  AccordionView.prototype.onBlockSelect = function(event) {
-    var $container, $target;
-    $container = $(event.target);
-    $target = $container.find(this.accordionTrigger);
-    if (!$target.hasClass(this.activeAccordion)) {
-      return $target.trigger('click');
+  CartClient.prototype._send = function(options) {
+    return $.ajax($.extend({
+      dataType: 'json',
+      cache: false
+    }, options)).then(function(response) {
+      return response;
+    }, (function(_this) {
+      return function(xhr) {
+        return $.Deferred().reject(_this._parseError(xhr), xhr).promise();
+      };
+    })(this));
+  };
+
+  CartClient.prototype._parseError = function(xhr) {
+    var error;
+    try {
+      return $.parseJSON(xhr.responseText);
+    } catch (error1) {
+      error = error1;
+      return {
+        status: xhr.status,
+        message: xhr.statusText,
+        description: xhr.statusText
+      };
     }
   };
 
-  return AccordionView;
+  return CartClient;
 
-})(Backbone.View);
+})();
 
-window.GoogleMapView = (function(superClass) {
-  extend(GoogleMapView, superClass);
+window.cartClient = new CartClient();
 
-  function GoogleMapView() {
-    this._getGoogleInfoBoxScript = bind(this._getGoogleInfoBoxScript, this);
-    return GoogleMapView.__super__.constructor.apply(this, arguments);
+window.ShippingEstimator = (function() {
+
+  /*
+      Quotes shipping rates for the cart, or on the product page for the
+      cart with the selected variant added.
+  
+      @param $el
+          {jQuery} The [data-shipping-estimator] element
+  
+      @param options
+          {Object} variantId: optional function returning the variant to
+          quote for
+   */
+  function ShippingEstimator($el, options) {
+    if (options == null) {
+      options = {};
+    }
+    this.$el = $el;
+    this.variantId = options.variantId;
+    this.strings = JSON.parse(this.$el.find('[data-shipping-estimator-strings]').text());
+    this.$country = this.$el.find('[data-shipping-estimator-country]');
+    this.$province = this.$el.find('[data-shipping-estimator-province]');
+    this.$provinceWrapper = this.$el.find('[data-shipping-estimator-province-wrapper]');
+    this.$zip = this.$el.find('[data-shipping-estimator-zip]');
+    this.$submit = this.$el.find('[data-shipping-estimator-submit]');
+    this.$response = this.$el.find('[data-shipping-estimator-response]');
+    this.$errors = this.$el.find('[data-shipping-estimator-error]');
+    this.processing = false;
+    this.hasEstimate = false;
+    this._restoreAddress();
+    this.$country.on('change.shippingEstimator', (function(_this) {
+      return function() {
+        return _this._updateProvinces();
+      };
+    })(this));
+    this.$province.on('change.shippingEstimator', (function(_this) {
+      return function() {
+        return _this._updateLabel(_this.$province);
+      };
+    })(this));
+    this.$zip.on('keydown.shippingEstimator', (function(_this) {
+      return function(event) {
+        if (event.which === 13) {
+          event.preventDefault();
+          return _this.estimate();
+        }
+      };
+    })(this));
+    this.$submit.on('click.shippingEstimator', (function(_this) {
+      return function() {
+        return _this.estimate();
+      };
+    })(this));
   }
 
-  GoogleMapView.prototype.initialize = function() {
-    this.mapCanvas = '[data-google-map]';
-    this.$mapCanvas = this.$el.find(this.mapCanvas);
-    this.context = JSON.parse(this.$el.find('[data-google-map-json]').text());
-    this.infoBoxURL = this.$mapCanvas.data("infobox-url");
-    return this._getGoogleScript();
+  ShippingEstimator.storageKey = 'shippingAddress';
+
+  ShippingEstimator.prototype.prepareRemove = function() {
+    this.$country.off('.shippingEstimator');
+    this.$province.off('.shippingEstimator');
+    this.$zip.off('.shippingEstimator');
+    return this.$submit.off('.shippingEstimator');
   };
 
-  GoogleMapView.prototype._getGoogleScript = function() {
-    var googleMapsURL;
-    if (this.context.apiKey.length) {
-      googleMapsURL = "//maps.googleapis.com/maps/api/js?key=" + this.context.apiKey;
-    } else {
-      googleMapsURL = '//maps.googleapis.com/maps/api/js';
+  ShippingEstimator.prototype.estimate = function() {
+    var address, request;
+    if (this.processing) {
+      return;
     }
-    if (typeof window.google === 'undefined') {
-      return $.getScript(googleMapsURL).done((function(_this) {
-        return function(script, textStatus) {
-          return _this._getGoogleInfoBoxScript(textStatus);
-        };
-      })(this)).fail((function(_this) {
-        return function(jqxhr, settings, exception) {
-          return _this._scriptFailed('GoogleMaps', {
-            jqxhr: jqxhr,
-            settings: settings,
-            exception: exception
-          });
-        };
-      })(this));
-    } else {
-      return this._getGoogleInfoBoxScript('success');
-    }
-  };
-
-  GoogleMapView.prototype._getGoogleInfoBoxScript = function(textStatus) {
-    if (textStatus !== 'success') {
-      return this._scriptFailed('GoogleMaps');
-    }
-    return $.getScript(this.infoBoxURL).done((function(_this) {
-      return function(script, textStatus) {
-        return _this._infoBoxLoaded(textStatus);
+    this.processing = true;
+    address = this._getAddress();
+    this._clearErrors();
+    this.$submit.prop('disabled', true).text(this.strings.submitButtonProcessing);
+    request = this.variantId != null ? cartClient.getVariantShippingRates(address, this.variantId()) : cartClient.getShippingRates(address);
+    return request.done((function(_this) {
+      return function(rates) {
+        ThemeUtils.store(ShippingEstimator.storageKey, address);
+        _this.hasEstimate = true;
+        return _this._renderRates(rates, address);
       };
     })(this)).fail((function(_this) {
-      return function(jqxhr, settings, exception) {
-        return _this._scriptFailed('Infobox', {
-          jqxhr: jqxhr,
-          settings: settings,
-          exception: exception
-        });
+      return function(errors) {
+        return _this.handleErrors(errors);
+      };
+    })(this)).always((function(_this) {
+      return function() {
+        _this.processing = false;
+        return _this.$submit.prop('disabled', false).text(_this.strings.submitButton);
       };
     })(this));
   };
 
-  GoogleMapView.prototype._scriptFailed = function(scriptName, options) {
-    if (options == null) {
-      options = {};
-    }
-    console.warn(scriptName + " failed to load");
-    if (options != null) {
-      return console.warn(options);
+  /*
+      Re-quote after the cart has changed, if rates are showing.
+   */
+
+  ShippingEstimator.prototype.refresh = function() {
+    if (this.hasEstimate) {
+      return this.estimate();
     }
   };
 
-  GoogleMapView.prototype._hasErrors = function(status) {
-    var errorMessage;
-    switch (status) {
-      case 'ZERO_RESULTS':
-        errorMessage = this.context.addressNoResults;
-        break;
-      case 'OVER_QUERY_LIMIT':
-        errorMessage = this.context.addressQueryLimit;
-        break;
-      default:
-        errorMessage = this.context.addressError;
+  /*
+      Show each field's errors under that field. Anything that isn't tied to
+      a field is shown in place of the rates.
+  
+      @param errors
+          {Object} Parsed error response
+   */
+
+  ShippingEstimator.prototype.handleErrors = function(errors) {
+    var field, handled, j, len, message, ref;
+    handled = false;
+    this.hasEstimate = false;
+    this.$response.empty();
+    ref = ['country', 'province', 'zip'];
+    for (j = 0, len = ref.length; j < len; j++) {
+      field = ref[j];
+      if (!errors[field]) {
+        continue;
+      }
+      message = [].concat(errors[field]).join(', ');
+      this.$errors.filter("[data-shipping-estimator-error='" + field + "']").text(this.strings[field + "ErrorMessage"].replace('** error_message **', message));
+      this._getField(field).attr('aria-invalid', true);
+      handled = true;
+    }
+    if (!handled) {
+      return this.$response.append($('<p class="shipping-estimator-message"/>').text(errors.description || errors.message || this.strings.errorMessage));
     }
-    return this.$mapCanvas.append("<div class=\"module-map-error\">" + errorMessage + "</div>");
   };
 
-  GoogleMapView.prototype._infoBoxLoaded = function(textStatus) {
-    if (textStatus !== 'success') {
-      return this._scriptFailed('Infobox');
+  ShippingEstimator.prototype._getAddress = function() {
+    var country;
+    country = this.$country.val();
+    return {
+      country: country === '---' ? '' : country,
+      province: this.$provinceWrapper.hasClass('hidden') ? '' : this.$province.val() || '',
+      zip: $.trim(this.$zip.val())
+    };
+  };
+
+  ShippingEstimator.prototype._getField = function(field) {
+    return {
+      country: this.$country,
+      province: this.$province,
+      zip: this.$zip
+    }[field];
+  };
+
+  ShippingEstimator.prototype._clearErrors = function() {
+    this.$errors.empty();
+    this.$country.add(this.$province).add(this.$zip).removeAttr('aria-invalid');
+    return this.$response.empty();
+  };
+
+  /*
+      Start from the last address quoted in this browser, then the
+      customer's default address, then the configured default country.
+   */
+
+  ShippingEstimator.prototype._restoreAddress = function() {
+    var address;
+    address = ThemeUtils.getStored(ShippingEstimator.storageKey) || this.strings.customerAddress || {
+      country: this.$country.data('default')
+    };
+    if (address.country && this.$country.find('option').filter(function() {
+      return this.value === address.country;
+    }).length) {
+      this.$country.val(address.country);
+    }
+    this._updateProvinces(address.province);
+    return this.$zip.val(address.zip || '');
+  };
+
+  ShippingEstimator.prototype._updateProvinces = function(selected) {
+    var j, len, province, provinces;
+    provinces = this.$country.find('option:selected').data('provinces') || [];
+    this.$province.empty();
+    for (j = 0, len = provinces.length; j < len; j++) {
+      province = provinces[j];
+      this.$province.append($('<option/>').val(province[0]).text(province[1]));
+    }
+    if (selected && provinces.some(function(province) {
+      return province[0] === selected;
+    })) {
+      this.$province.val(selected);
+    }
+    this.$provinceWrapper.toggleClass('hidden', !provinces.length);
+    this._updateLabel(this.$country);
+    return this._updateLabel(this.$province);
+  };
+
+  ShippingEstimator.prototype._updateLabel = function($select) {
+    var text;
+    text = $select.find('option:selected').text();
+    if (text) {
+      return $select.siblings('.selected-text').text(text);
+    }
+  };
+
+  ShippingEstimator.prototype._renderRates = function(rates, address) {
+    var $rates, addressText, j, len, message, price, rate;
+    addressText = $('<div/>').text([address.zip, address.province, address.country].filter(function(part) {
+      return part;
+    }).join(', ')).html();
+    if (rates.length > 1) {
+      price = this._formatRate(rates[0]);
+      message = this.strings.multiRates.replace('** address **', addressText).replace('** number_of_rates **', rates.length).replace('** rate **', price);
+    } else if (rates.length === 1) {
+      message = this.strings.oneRate.replace('** address **', addressText);
+    } else {
+      message = this.strings.noRates;
+    }
+    this.$response.append($('<p class="shipping-estimator-message"/>').html(message));
+    if (rates.length) {
+      $rates = $('<ul class="shipping-estimator-rates"/>').appendTo(this.$response);
+      for (j = 0, len = rates.length; j < len; j++) {
+        rate = rates[j];
+        $rates.append($('<li/>').html(this.strings.rateValues.replace('** rate_title **', $('<div/>').text(rate.name).html()).replace('** rate **', this._formatRate(rate))));
+      }
     }
-    this.geocoder = new google.maps.Geocoder;
-    return this.geocoder.geocode({
-      "address": this.context.address
-    }, (function(_this) {
-      return function(results, status) {
-        var infobox, map, mapOptions, marker, stylesArray;
-        if (status !== google.maps.GeocoderStatus.OK) {
-          return _this._hasErrors(status);
-        }
-        _this.$el.addClass('has-map');
-        stylesArray = [
-          {
-            'featureType': 'administrative',
-            'elementType': 'labels.text.fill',
-            'stylers': [
-              {
-                'color': '#444444'
-              }
-            ]
-          }, {
-            'featureType': 'landscape',
-            'elementType': 'all',
-            'stylers': [
-              {
-                'color': '#f2f2f2'
-              }
-            ]
-          }, {
-            'featureType': 'poi',
-            'elementType': 'all',
-            'stylers': [
-              {
-                'visibility': 'off'
-              }
-            ]
-          }, {
-            'featureType': 'road',
-            'elementType': 'all',
-            'stylers': [
-              {
-                'saturation': -100
-              }, {
-                'lightness': 45
-              }
-            ]
-          }, {
-            'featureType': 'road.highway',
-            'elementType': 'all',
-            'stylers': [
-              {
-                'visibility': 'simplified'
-              }
-            ]
-          }, {
-            'featureType': 'road.arterial',
-            'elementType': 'labels.icon',
-            'stylers': [
-              {
-                'visibility': 'off'
-              }
-            ]
-          }, {
-            'featureType': 'transit',
-            'elementType': 'all',
-            'stylers': [
-              {
-                'visibility': 'off'
-              }
-            ]
-          }, {
-            'featureType': 'water',
-            'elementType': 'all',
-            'stylers': [
-              {
-                'color': '#419bf9'
-              }, {
-                'visibility': 'on'
-              }
-            ]
-          }
-        ];
-        mapOptions = {
-          center: {
-            lat: results[0].geometry.location.lat(),
-            lng: results[0].geometry.location.lng()
-          },
-          zoom: 15,
-          styles: stylesArray,
-          scrollwheel: false
-        };
-        map = new google.maps.Map(document.querySelector(_this.mapCanvas), mapOptions);
-        marker = new google.maps.Marker({
-          position: mapOptions.center
-        });
-        marker.setMap(map);
-        infobox = new InfoBox({
-          content: "<div class='info-box-container'>" + _this.context.title + "</div>",
-          disableAutoPan: false,
-          pixelOffset: new google.maps.Size(0, -120),
-          zIndex: null,
-          closeBoxURL: "",
-          infoBoxClearance: new google.maps.Size(1, 1)
-        });
-        infobox.open(map, marker);
-        return google.maps.event.addDomListener(window, 'resize', function() {
-          return setTimeout((function(_this) {
-            return function() {
-              return map.setCenter(mapOptions.center);
-            };
-          })(this), 100);
-        });
+    if (this.variantId != null) {
+      this.$response.append($('<p class="shipping-estimator-note meta"/>').text(this.strings.productNote));
+    }
+    if (Theme.enableCurrencyConverter) {
+      return this.$response.find('.money').each(function() {
+        return CurrencyConverter.update(this);
+      });
+    }
+  };
+
+  ShippingEstimator.prototype._formatRate = function(rate) {
+    return "<span class=\"money\">" + (Shopify.formatMoney(Math.round(parseFloat(rate.price) * 100), Theme.moneyFormat)) + "</span>";
+  };
+
+  return ShippingEstimator;
+
+})();
+
+window.FreeShippingMeter = (function() {
+
+  /*
+      Shows how far the cart total is from each reward tier, in every
+      [data-free-shipping-meter] on the page. Thresholds are in the shop
+      currency and converted for display along with other prices.
+  
+      @param settings
+          {Object} Initial cart total, reward tiers and strings
+   */
+  function FreeShippingMeter(settings) {
+    this.settings = settings;
+    this.tiers = settings.tiers.sort(function(a, b) {
+      return a.threshold - b.threshold;
+    });
+    this.$body = $(document.body);
+    this.$body.on('cart:updated.freeShippingMeter', (function(_this) {
+      return function(event, cart) {
+        return _this.render(cart.total_price);
       };
     })(this));
+    this.render(settings.total);
+  }
+
+  FreeShippingMeter.prototype.prepareRemove = function() {
+    this.$body.off('.freeShippingMeter');
+    return $('[data-free-shipping-meter]').addClass('hidden').empty();
   };
 
-  return GoogleMapView;
+  FreeShippingMeter.prototype.render = function(total) {
+    var $meters, $progress, j, len, max, message, next, ref, tier;
+    $meters = $('[data-free-shipping-meter]');
+    if (!this.tiers.length) {
+      return $meters.addClass('hidden');
+    }
+    max = this.tiers[this.tiers.length - 1].threshold;
+    next = this.tiers.filter(function(tier) {
+      return tier.threshold > total;
+    })[0];
+    if (next != null) {
+      message = this.settings.away.replace('** amount **', "<span class=\"money\">" + (Shopify.formatMoney(next.threshold - total, Theme.moneyFormat)) + "</span>").replace('** reward **', this._escape(next.reward));
+    } else {
+      message = this.settings.unlocked.replace('** reward **', this._escape(this.tiers[this.tiers.length - 1].reward));
+    }
+    $progress = $('<div class="free-shipping-meter-bar" role="progressbar" aria-valuemin="0"/>').attr({
+      'aria-valuemax': max,
+      'aria-valuenow': Math.min(total, max)
+    }).append($('<span class="free-shipping-meter-progress"/>').css('width', (Math.min(total / max, 1) * 100) + "%"));
+    ref = this.tiers.slice(0, -1);
+    for (j = 0, len = ref.length; j < len; j++) {
+      tier = ref[j];
+      $progress.append($('<span class="free-shipping-meter-tier"/>').toggleClass('reached', total >= tier.threshold).css('left', (tier.threshold / max * 100) + "%"));
+    }
+    $meters.each(function() {
+      var $meter;
+      $meter = $(this);
+      $meter.empty().append($('<p class="free-shipping-meter-message"/>').html(message), $progress.clone());
+      return $meter.toggleClass('unlocked', next == null).removeClass('hidden');
+    });
+    if (Theme.enableCurrencyConverter) {
+      return $meters.find('.money').each(function() {
+        return CurrencyConverter.update(this);
+      });
+    }
+  };
 
-})(Backbone.View);
+  FreeShippingMeter.prototype._escape = function(text) {
+    return $('<div/>').text(text).html();
+  };
 
-window.ThemeEditor = (function(superClass) {
-  extend(ThemeEditor, superClass);
+  return FreeShippingMeter;
 
-  function ThemeEditor() {
-    return ThemeEditor.__super__.constructor.apply(this, arguments);
-  }
+})();
 
-  ThemeEditor.prototype.initialize = function() {
-    this.instanceHandlers = {};
-    this.instances = {};
-    return $(document).on('shopify:section:load', (function(_this) {
-      return function(event) {
-        return _this._onSectionLoad(event);
-      };
-    })(this)).on('shopify:section:unload', (function(_this) {
-      return function(event) {
-        return _this._onSectionUnload(event);
-      };
-    })(this)).on('shopify:section:select', (function(_this) {
-      return function(event) {
-        return _this._onSectionSelect(event);
-      };
-    })(this)).on('shopify:section:deselect', (function(_this) {
-      return function(event) {
-        return _this._onSectionDeselect(event);
-      };
-    })(this)).on('shopify:block:select', (function(_this) {
+window.CartRecommendations = (function() {
+
+  /*
+      Suggests products to go with the cart, from Shopify's product
+      recommendations for the first few cart items, topped up from an
+      optional fallback collection. Products already in the cart are left
+      out, so call load again whenever the cart changes.
+  
+      @param $el
+          {jQuery} The [data-cart-recommendations] element
+   */
+  function CartRecommendations($el) {
+    this.$el = $el;
+    this.$list = this.$el.find('[data-cart-recommendations-list]');
+    this.$message = this.$el.find('[data-cart-recommendations-message]');
+    this.strings = JSON.parse(this.$el.find('[data-cart-recommendations-strings]').text());
+    this.limit = parseInt(this.$el.attr('data-limit'), 10) || 4;
+    this.fallbackUrl = this.$el.attr('data-fallback-url');
+    this.requests = {};
+    this.$el.on('change.cartRecommendations', '[data-recommendation-variant]', (function(_this) {
       return function(event) {
-        return _this._onBlockSelect(event);
+        return _this._updatePrice($(event.currentTarget).closest('[data-recommendation]'));
       };
-    })(this)).on('shopify:block:deselect', (function(_this) {
+    })(this));
+    this.$el.on('click.cartRecommendations', '[data-recommendation-add]', (function(_this) {
       return function(event) {
-        return _this._onBlockDeselect(event);
+        return _this.add($(event.currentTarget).closest('[data-recommendation]'));
       };
     })(this));
+  }
+
+  CartRecommendations.sourceItems = 3;
+
+  CartRecommendations.prototype.prepareRemove = function() {
+    return this.$el.off('.cartRecommendations');
   };
 
-  ThemeEditor.prototype._findInstance = function(event) {
-    var $container, instance;
-    instance = this.instances[event.originalEvent.detail.sectionId];
-    if (instance != null) {
-      return instance;
-    } else {
-      $container = $('[data-section-id]', event.target);
-      if ($container.length) {
-        return this._createInstance($container);
-      }
+  CartRecommendations.prototype.load = function(cart) {
+    var cartProductIds, productIds, requests, token;
+    token = this.token = {};
+    cartProductIds = cart.items.map(function(item) {
+      return item.product_id;
+    });
+    productIds = cartProductIds.filter(function(productId, index) {
+      return cartProductIds.indexOf(productId) === index;
+    }).slice(0, CartRecommendations.sourceItems);
+    requests = productIds.map((function(_this) {
+      return function(productId) {
+        return _this._fetch("/recommendations/products.json?product_id=" + productId + "&limit=" + _this.limit);
+      };
+    })(this));
+    if (this.fallbackUrl) {
+      requests.push(this._fetch(this.fallbackUrl));
     }
-  };
-
-  ThemeEditor.prototype._createInstance = function($container, instanceHandler) {
-    var data, el, instance, sectionId, sectionType;
-    sectionType = $container.attr('data-section-type');
-    sectionId = $container.attr('data-section-id');
-    el = $container.parent()[0];
-    data = this._loadData(el);
-    if (sectionType == null) {
-      return;
+    if (!requests.length) {
+      return this._render([]);
     }
-    instanceHandler = instanceHandler || this.instanceHandlers[sectionType];
-    instance = {
-      $container: $container,
-      el: el,
-      data: data,
-      instanceHandler: instanceHandler,
-      sectionId: sectionId
-    };
-    this.instances[sectionId] = instance;
-    return instance;
+    return $.when.apply($, requests).done((function(_this) {
+      return function() {
+        var j, k, len, len1, product, products, ref, results, seen;
+        if (token !== _this.token) {
+          return;
+        }
+        products = [];
+        seen = {};
+        for (j = 0, len = arguments.length; j < len; j++) {
+          results = arguments[j];
+          ref = results || [];
+          for (k = 0, len1 = ref.length; k < len1; k++) {
+            product = ref[k];
+            if (seen[product.id] || cartProductIds.indexOf(product.id) !== -1) {
+              continue;
+            }
+            seen[product.id] = true;
+            product = _this._normalize(product);
+            if (product.variants.length) {
+              products.push(product);
+            }
+          }
+        }
+        return _this._render(products.slice(0, _this.limit));
+      };
+    })(this));
   };
 
-
   /*
-      Action: A section has been added or re-rendered.
-      Expected: Re-execute any JavaScript needed for the section to work and
-          display properly (as if the page had just been loaded).
+      Add the chosen variant at its minimum quantity. The cart page and drawer
+      re-render from the cart:added event, which drops the product from the
+      strip, so the confirmation is shown above the list.
    */
 
-  ThemeEditor.prototype._onSectionLoad = function(event) {
-    var $container, ref, ref1;
-    $container = $('[data-section-id]', event.target);
-    if (!$container.length) {
+  CartRecommendations.prototype.add = function($item) {
+    var $button, message, rules, variantId;
+    $button = $item.find('[data-recommendation-add]');
+    if ($button.prop('disabled')) {
       return;
     }
-    return (ref = this._createInstance($container)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onSectionLoad === "function" ? ref1.onSectionLoad(event) : void 0 : void 0 : void 0;
+    variantId = parseInt($item.find('[data-recommendation-variant]').val(), 10);
+    rules = QuantityRules.forVariant(variantId);
+    message = rules.validate(rules.min, false);
+    this.$message.empty();
+    $item.find('[data-recommendation-error]').text(message || '');
+    if (message) {
+      return;
+    }
+    $button.prop('disabled', true).text(this.strings.processing);
+    return cartClient.addItem(variantId, rules.min).done((function(_this) {
+      return function(cartItem) {
+        return _this.$message.html(_this.strings.added.replace('** product **', "<em>" + ($('<div/>').text(cartItem.title).html()) + "</em>"));
+      };
+    })(this)).fail((function(_this) {
+      return function(error) {
+        $item.find('[data-recommendation-error]').text(error.description);
+        return $button.prop('disabled', false).text(_this.strings.add);
+      };
+    })(this));
   };
 
-
   /*
-      Action: A section has been deleted or is being re-rendered.
-      Expected: Clean up any event listeners, variables, etc., so that
-          nothing breaks when the page is interacted with and no memory leaks occur.
+      Each source is requested once per page, always resolving with a list
+      of products so one failed source doesn't hide the rest.
    */
 
-  ThemeEditor.prototype._onSectionUnload = function(event) {
-    var instance, ref;
-    instance = this._findInstance(event);
-    if (instance != null) {
-      if ((ref = instance.instanceHandler) != null) {
-        if (typeof ref.onSectionUnload === "function") {
-          ref.onSectionUnload(event);
-        }
-      }
-    }
-    if (instance) {
-      return delete this.instances[instance.sectionId];
+  CartRecommendations.prototype._fetch = function(url) {
+    var base, deferred;
+    if ((base = this.requests)[url] == null) {
+      deferred = $.Deferred();
+      $.getJSON(url).done(function(response) {
+        return deferred.resolve(response.products || []);
+      }).fail(function() {
+        return deferred.resolve([]);
+      });
+      base[url] = deferred.promise();
     }
+    return this.requests[url];
   };
 
-
   /*
-      Action: User has selected the section in the sidebar.
-      Expected: Make sure the section is in view and stays
-          in view while selected (scrolling happens automatically).
-      Example: Could be used to pause a slideshow
+      Recommendations and collection products.json use different shapes,
+      so reduce both to what the strip needs. Prices are in cents.
    */
 
-  ThemeEditor.prototype._onSectionSelect = function(event) {
-    var ref, ref1;
-    return (ref = this._findInstance(event)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onSectionSelect === "function" ? ref1.onSectionSelect(event) : void 0 : void 0 : void 0;
+  CartRecommendations.prototype._normalize = function(product) {
+    var image, ref;
+    image = product.featured_image || ((ref = product.images) != null ? ref[0] : void 0);
+    return {
+      id: product.id,
+      title: product.title,
+      url: product.url || ("/products/" + product.handle),
+      image: (image != null ? image.src : void 0) || image,
+      variants: product.variants.filter(function(variant) {
+        return variant.available !== false;
+      }).map(function(variant) {
+        return {
+          id: variant.id,
+          title: variant.title,
+          price: typeof variant.price === 'string' ? Math.round(parseFloat(variant.price) * 100) : variant.price
+        };
+      })
+    };
   };
 
-
-  /*
-      Action: User has deselected the section in the sidebar.
-      Expected: (None)
-      Example: Could be used to restart slideshows that are no longer being interacted with.
-   */
-
-  ThemeEditor.prototype._onSectionDeselect = function(event) {
-    var ref, ref1;
-    return (ref = this._findInstance(event)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onSectionDeselect === "function" ? ref1.onSectionDeselect(event) : void 0 : void 0 : void 0;
+  CartRecommendations.prototype._render = function(products) {
+    var j, len, product;
+    this.$list.empty();
+    for (j = 0, len = products.length; j < len; j++) {
+      product = products[j];
+      this.$list.append(this._renderItem(product));
+    }
+    this.$el.toggleClass('hidden', !products.length);
+    if (Theme.enableCurrencyConverter) {
+      return this.$list.find('.money').each(function() {
+        return CurrencyConverter.update(this);
+      });
+    }
   };
 
-
-  /*
-      Action: User has selected the block in the sidebar.
-      Expected: Make sure the block is in view and stays
-          in view while selected (scrolling happens automatically).
-      Example: Can be used to to trigger a slideshow to bring a slide/block into view
-   */
-
-  ThemeEditor.prototype._onBlockSelect = function(event) {
-    var ref, ref1;
-    return (ref = this._findInstance(event)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onBlockSelect === "function" ? ref1.onBlockSelect(event) : void 0 : void 0 : void 0;
+  CartRecommendations.prototype._renderItem = function(product) {
+    var $details, $item, $select, j, len, ref, variant;
+    $item = $('<li class="cart-recommendation" data-recommendation/>').attr('data-product-id', product.id);
+    if (product.image) {
+      $item.append($('<a class="cart-recommendation-image"/>').attr('href', product.url).append($('<img/>').attr({
+        src: Shopify.resizeImage(product.image, '160x160'),
+        alt: product.title
+      })));
+    }
+    $details = $('<div class="cart-recommendation-details"/>').appendTo($item);
+    $details.append($('<a class="cart-recommendation-title"/>').attr('href', product.url).text(product.title));
+    $details.append('<span class="cart-recommendation-price money" data-recommendation-price></span>');
+    $select = $('<select class="cart-recommendation-variant" data-recommendation-variant/>').attr('aria-label', this.strings.variant);
+    ref = product.variants;
+    for (j = 0, len = ref.length; j < len; j++) {
+      variant = ref[j];
+      $select.append($('<option/>').val(variant.id).text(variant.title).attr('data-price', variant.price));
+    }
+    if (product.variants.length === 1) {
+      $select.addClass('hidden');
+    }
+    $details.append($select);
+    $details.append($('<button class="button cart-recommendation-add" type="button" data-recommendation-add/>').text(this.strings.add));
+    $details.append('<p class="cart-recommendation-error" role="alert" data-recommendation-error></p>');
+    this._updatePrice($item);
+    return $item;
   };
 
+  CartRecommendations.prototype._updatePrice = function($item) {
+    var $price, price;
+    price = $item.find('[data-recommendation-variant] option:selected').attr('data-price');
+    $price = $item.find('[data-recommendation-price]').html(Shopify.formatMoney(price, Theme.moneyFormat));
+    if (Theme.enableCurrencyConverter && $.contains(document.documentElement, $price[0])) {
+      return CurrencyConverter.update($price[0]);
+    }
+  };
 
-  /*
-      Action: User has deselected the block in the sidebar.
-      Expected: (None)
-      Example: Resume a slideshow
-   */
+  return CartRecommendations;
 
-  ThemeEditor.prototype._onBlockDeselect = function(event) {
-    var ref, ref1;
-    return (ref = this._findInstance(event)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onBlockDeselect === "function" ? ref1.onBlockDeselect(event) : void 0 : void 0 : void 0;
-  };
+})();
 
+window.TestimonialView = (function(superClass) {
+  extend(TestimonialView, superClass);
 
-  /*
-      Auto initialisation of a section for the store front
-   */
+  function TestimonialView() {
+    return TestimonialView.__super__.constructor.apply(this, arguments);
+  }
 
-  ThemeEditor.prototype._sectionInit = function(instance) {
-    var ref;
-    return instance != null ? (ref = instance.instanceHandler) != null ? typeof ref.init === "function" ? ref.init(instance) : void 0 : void 0 : void 0;
+  TestimonialView.prototype.events = {
+    "click .home-testimonials-pagination-list-item": "paginate",
+    "click .home-testimonials-navigation-item a": "navigate"
   };
 
-  ThemeEditor.prototype._loadData = function(el) {
-    var data, dataEl, error;
-    dataEl = el.querySelector('[data-section-data]');
-    if (!dataEl) {
-      return {};
+  TestimonialView.prototype.initialize = function() {
+    var count, slide;
+    this.slideList = this.$(".home-testimonials-slides-list");
+    this.pageList = this.$(".home-testimonials-pagination-list");
+    this.$window = $(window);
+    this.$navigationItem = this.$('.home-testimonials-navigation-item a');
+    slide = this.slideList.children();
+    count = this.slideList.children().length;
+    if (count > 1) {
+      slide.last().clone().removeAttr("data-position").addClass("cloned").prependTo(this.slideList);
+      slide.first().clone().removeAttr("data-position").addClass("cloned").appendTo(this.slideList);
+    } else {
+      this.slideList.parents(".home-testimonials").addClass("static");
     }
-    data = dataEl.getAttribute('data-section-data') || dataEl.innerHTML;
-    try {
-      return JSON.parse(data);
-    } catch (error1) {
-      error = error1;
-      console.warn("Sections: invalid section data found. " + error.message);
-      return {};
+    this.slideHeight(1);
+    this.slideWidth();
+    if (count > 1) {
+      this.slideRotate(1);
     }
-  };
-
-
-  /*
-      Registration of a section
-          - Takes a string parameter as the first argument which
-            matches to `[data-section-type]`
-  
-       * Example
-          @sections = new Sections()
-          @sections.register('some-section-type', @someSectionClass)
-   */
-
-  ThemeEditor.prototype.register = function(type, instanceHandler) {
-
-    /*
-        Storage of a instanceHandler based on the sectionType allows _onSectionLoad
-           to connect a new section to it's registered instanceHandler
-     */
-    this.instanceHandlers[type] = instanceHandler;
-    return $("[data-section-type='" + type + "']").each((function(_this) {
-      return function(index, container) {
-        var $container;
-        $container = $(container);
-        return _this._sectionInit(_this._createInstance($container, instanceHandler));
+    this.slideList.parents(".home-testimonials").addClass("ready");
+    this.$window.on('resize.testimonials', (function(_this) {
+      return function() {
+        var index;
+        index = _this.slideList.children(".active").attr("data-position");
+        _this.slideHeight(index);
+        _this.slideWidth();
+        if (count > 1) {
+          return _this.slideAnim(index);
+        }
+      };
+    })(this));
+    return this.$navigationItem.on('mouseout.testimonials', (function(_this) {
+      return function(event) {
+        return $(event.currentTarget).blur();
       };
     })(this));
   };
 
-
-  /*
-      Public method to retrieve information on an instance based on the
-      bubbled `event`
-   */
-
-  ThemeEditor.prototype.getInstance = function(event) {
-    return this._findInstance(event);
+  TestimonialView.prototype.slideHeight = function(index) {
+    return this.slideList.height(this.slideList.children("div[data-position='" + index + "']").height());
   };
 
-  return ThemeEditor;
-
-})(Backbone.View);
-
-window.PageView = (function(superClass) {
-  extend(PageView, superClass);
+  TestimonialView.prototype.slideWidth = function() {
+    this.slideList.width(this.slideList.parent().width() * this.slideList.children().length);
+    return this.slideList.children().width(this.slideList.parent().width());
+  };
 
-  function PageView() {
-    return PageView.__super__.constructor.apply(this, arguments);
-  }
+  TestimonialView.prototype.slideAnim = function(index) {
+    return this.slideList.css({
+      "margin-left": -index * this.slideList.parent().width()
+    });
+  };
 
-  PageView.prototype.initialize = function() {
-    this.sections = new ThemeEditor();
-    this.sections.register('map', this.mapSection(this.sections));
-    return this.sections.register('faq', this.accordionView(this.sections));
+  TestimonialView.prototype.slideRotate = function(index) {
+    this.slideList.children().removeClass("active");
+    this.pageList.children().removeClass("active");
+    this.slideList.children("div[data-position='" + index + "']").addClass("active");
+    this.pageList.children("a[data-position='" + index + "']").addClass("active");
+    return this.slideAnim(index);
   };
 
-  PageView.prototype.accordionView = function(sections) {
-    return {
-      instances: {},
-      init: function(instance) {
-        return this.instances[instance.sectionId] = new AccordionView({
-          el: instance.$container
-        });
+  TestimonialView.prototype.paginate = function(event, index) {
+    if (event == null) {
+      event = false;
+    }
+    if (index == null) {
+      index = false;
+    }
+    if (event) {
+      event.preventDefault();
+    }
+    if ($(event.currentTarget).hasClass('active') && !index) {
+      return;
+    }
+    if (event && !index) {
+      index = $(event.currentTarget).attr('data-position');
+    }
+    this.slideRotate(index);
+    return this.slideHeight(index);
+  };
+
+  TestimonialView.prototype.navigate = function(event) {
+    var $navigation, index;
+    if (event) {
+      event.preventDefault();
+    }
+    $navigation = $(event.currentTarget).parent('div');
+    if ($navigation.hasClass("next-slide")) {
+      if (!this.slideList.children(".active").next().hasClass("cloned")) {
+        index = this.slideList.children(".active").next().attr("data-position");
+      } else {
+        index = 1;
+      }
+    }
+    if ($navigation.hasClass("previous-slide")) {
+      if (!this.slideList.children(".active").prev().hasClass("cloned")) {
+        index = this.slideList.children(".active").prev().attr("data-position");
+      } else {
+        index = this.slideList.children().length - 2;
+      }
+    }
+    this.slideRotate(index);
+    return this.slideHeight(index);
+  };
+
+  TestimonialView.prototype.prepareRemove = function() {
+    this.$navigationItem.off('mouseout.testimonials');
+    return this.$window.off('resize.testimonials');
+  };
+
+  return TestimonialView;
+
+})(Backbone.View);
+
+window.VideoView = (function(superClass) {
+  extend(VideoView, superClass);
+
+  function VideoView() {
+    return VideoView.__super__.constructor.apply(this, arguments);
+  }
+
+  VideoView.prototype.events = {
+    'click [data-overlay-play]': 'activateVideo'
+  };
+
+  VideoView.prototype.initialize = function() {
+    return this.$el.fitVids();
+  };
+
+  VideoView.prototype.activateVideo = function(event) {
+    var $overlay, $target, $video, $videoWrapper;
+    $target = $(event.currentTarget);
+    $videoWrapper = $target.parents('[data-video-wrapper]');
+    $overlay = $videoWrapper.find('[data-video-overlay]');
+    $video = $videoWrapper.find('iframe');
+    if (!$video.length) {
+      return;
+    }
+    $videoWrapper.addClass("active");
+    setTimeout((function(_this) {
+      return function() {
+        return $overlay.addClass('inactive');
+      };
+    })(this), 200);
+    return setTimeout((function(_this) {
+      return function() {
+        var $videoSrc, $videoSrcNew, delimiter;
+        $videoSrc = $video.attr('src');
+        delimiter = ($videoSrc != null ? $videoSrc.indexOf('?') : void 0) === -1 ? '?' : '&';
+        $videoSrcNew = ($videoSrc + delimiter) + "autoplay=1";
+        $video.attr('src', $videoSrcNew);
+        return $overlay.remove();
+      };
+    })(this), 400);
+  };
+
+  return VideoView;
+
+})(Backbone.View);
+
+window.HomeView = (function(superClass) {
+  extend(HomeView, superClass);
+
+  function HomeView() {
+    return HomeView.__super__.constructor.apply(this, arguments);
+  }
+
+  HomeView.prototype.initialize = function() {
+    this.sections = new ThemeEditor();
+    this.sections.register('slideshow', this.slideShow(this.sections));
+    this.sections.register('alternating-content', this.alternatingContent(this.sections));
+    this.sections.register('images-with-text', this.imagesWithText(this.sections));
+    this.sections.register('testimonials', this.testimonials(this.sections));
+    this.sections.register('pxs-map', this.map(this.sections));
+    return this.sections.register('pxs-video', this.video(this.sections));
+  };
+
+  HomeView.prototype.slideShow = function(sections) {
+    return {
+      instances: {},
+      el: '[data-section-type="slideshow"]',
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new SlideshowView({
+          el: $(this.el)
+        });
       },
       onSectionLoad: function(event) {
-        var instance, sectionId;
+        var instance;
         instance = sections.getInstance(event);
-        sectionId = instance.sectionId;
-        if (this.instances[sectionId] == null) {
+        if (!this.instances[instance.sectionId]) {
           return this.init(instance);
         }
       },
       onSectionUnload: function(event) {
-        var sectionId;
-        sectionId = sections.getInstance(event).sectionId;
-        this.instances[sectionId].remove();
-        return delete this.instances[sectionId];
+        var instance;
+        instance = sections.getInstance(event);
+        this.instances[instance.sectionId].setupHeader();
+        this.instances[instance.sectionId].prepareRemove();
+        this.instances[instance.sectionId].setSlideshowClasses(null);
+        this.instances[instance.sectionId].remove();
+        return delete this.instances[instance.sectionId];
+      },
+      onSectionSelect: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        this.instances[instance.sectionId].setupHeader();
+        return this.instances[instance.sectionId].setSlideshowClasses(null);
       },
       onBlockSelect: function(event) {
-        return this.instances[sections.getInstance(event).sectionId].onBlockSelect(event);
+        var instanceHandler;
+        instanceHandler = this.instances[sections.getInstance(event).sectionId];
+        return instanceHandler.lockSlide(event);
+      },
+      onBlockDeselect: function(event) {
+        var instanceHandler;
+        instanceHandler = this.instances[sections.getInstance(event).sectionId];
+        return instanceHandler.unlockSlide();
       }
     };
   };
 
-  PageView.prototype.mapSection = function(sections) {
+  HomeView.prototype.alternatingContent = function(sections) {
     return {
       instances: {},
       init: function(instance) {
-        return this.instances[instance.sectionId] = new GoogleMapView({
+        var $video;
+        $video = instance.$container.find('[data-video-wrapper]');
+        if ($video.length) {
+          return this.instances[instance.sectionId] = new VideoView({
+            el: $video
+          });
+        } else {
+          return this.instances[instance.sectionId] = null;
+        }
+      },
+      onSectionLoad: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        if (!this.instances[instance.sectionId]) {
+          return this.init(instance);
+        }
+      },
+      onSectionUnload: function(event) {
+        var instance, ref;
+        instance = sections.getInstance(event);
+        if ((ref = this.instances[instance.sectionId]) != null) {
+          ref.remove();
+        }
+        return delete this.instances[instance.sectionId];
+      }
+    };
+  };
+
+  HomeView.prototype.imagesWithText = function(sections) {
+    return {
+      instances: {},
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new ImagesWithTextView({
           el: instance.$container
         });
       },
       onSectionLoad: function(event) {
-        var instance, sectionId;
+        var instance;
         instance = sections.getInstance(event);
-        sectionId = instance.sectionId;
-        if (this.instances[sectionId] == null) {
+        if (!this.instances[instance.sectionId]) {
+          return this.init(instance);
+        }
+      },
+      onSectionUnload: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        this.instances[instance.sectionId].remove();
+        return delete this.instances[instance.sectionId];
+      },
+      onBlockSelect: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        return this.instances[instance.sectionId].updateSlidePagination($(event.target).attr('data-position'));
+      }
+    };
+  };
+
+  HomeView.prototype.testimonials = function(sections) {
+    return {
+      instances: {},
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new TestimonialView({
+          el: instance.$container
+        });
+      },
+      onSectionLoad: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        if (!this.instances[instance.sectionId]) {
+          return this.init(instance);
+        }
+      },
+      onSectionUnload: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        this.instances[instance.sectionId].prepareRemove();
+        this.instances[instance.sectionId].remove();
+        return delete this.instances[instance.sectionId];
+      },
+      onBlockSelect: function(event) {
+        var index, instance;
+        instance = sections.getInstance(event);
+        index = $(event.target).attr('data-index');
+        return this.instances[instance.sectionId].paginate(false, index);
+      }
+    };
+  };
+
+  HomeView.prototype.map = function(sections) {
+    return {
+      instances: {},
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new PxsMap(instance);
+      },
+      onSectionLoad: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        if (!this.instances[instance.sectionId]) {
           return this.init(instance);
         }
       },
       onSectionUnload: function(event) {
         var sectionId;
         sectionId = sections.getInstance(event).sectionId;
-        this.instances[sectionId].remove();
+        this.instances[sectionId].onSectionUnload();
+        return delete this.instances[sectionId];
+      }
+    };
+  };
+
+  HomeView.prototype.video = function(sections) {
+    return {
+      instances: {},
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new PxsVideo(instance);
+      },
+      onSectionLoad: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        if (!this.instances[instance.sectionId]) {
+          return this.init(instance);
+        }
+      },
+      onSectionUnload: function(event) {
+        var sectionId;
+        sectionId = sections.getInstance(event).sectionId;
+        this.instances[sectionId].onSectionUnload();
+        return delete this.instances[sectionId];
+      }
+    };
+  };
+
+  return HomeView;
+
+})(Backbone.View);
+
+window.GiftCardView = (function(superClass) {
+  extend(GiftCardView, superClass);
+
+  function GiftCardView() {
+    return GiftCardView.__super__.constructor.apply(this, arguments);
+  }
+
+  GiftCardView.prototype.initialize = function() {
+    return this.addQrCode();
+  };
+
+  GiftCardView.prototype.addQrCode = function() {
+    var qrWrapper;
+    qrWrapper = $('[data-qr-code]');
+    return new QRCode(qrWrapper[0], {
+      text: qrWrapper.data('qr-code'),
+      width: 120,
+      height: 120
+    });
+  };
+
+  return GiftCardView;
+
+})(Backbone.View);
+
+window.ListCollectionsView = (function(superClass) {
+  extend(ListCollectionsView, superClass);
+
+  function ListCollectionsView() {
+    return ListCollectionsView.__super__.constructor.apply(this, arguments);
+  }
+
+  ListCollectionsView.prototype.events = {};
+
+  ListCollectionsView.prototype.initialize = function() {
+    var collection, collectionDetails, collections, j, len, results1;
+    if ($('html').hasClass('lt-ie9')) {
+      collections = this.$('.collection-list-item');
+      results1 = [];
+      for (j = 0, len = collections.length; j < len; j++) {
+        collection = collections[j];
+        collectionDetails = $(collection).find('.collection-details');
+        results1.push(this.verticallyAlignText(collectionDetails));
+      }
+      return results1;
+    }
+  };
+
+  ListCollectionsView.prototype.verticallyAlignText = function(collectionDetails) {
+    var textHeight;
+    textHeight = collectionDetails.height();
+    return collectionDetails.css({
+      marginTop: -(textHeight / 2)
+    });
+  };
+
+  ListCollectionsView.prototype.render = function() {};
+
+  return ListCollectionsView;
+
+})(Backbone.View);
+
+window.LoadMoreView = (function(superClass) {
+  extend(LoadMoreView, superClass);
+
+  function LoadMoreView() {
+    return LoadMoreView.__super__.constructor.apply(this, arguments);
+  }
+
+  LoadMoreView.prototype.events = {
+    'click [data-load-more-button]': 'loadMore'
+  };
+
+  /*
+      Appends the next page of a paginated listing to the current one. Each
+      list of items is marked with [data-load-more-container]; listings with
+      more than one list (e.g. search) give each container a name so pages
+      are appended to the matching list.
+  
+      @param options.onAppend
+          {Function} Called with the appended items
+  
+      @param options.requestPage
+          {Function} Fetches a page's HTML given its URL, defaults to $.get
+   */
+
+  LoadMoreView.prototype.initialize = function(options) {
+    if (options == null) {
+      options = {};
+    }
+    this.onAppend = options.onAppend || function() {};
+    this.requestPage = options.requestPage || function(url) {
+      return $.get(url);
+    };
+    this.request = null;
+    this.observer = null;
+    this.refresh();
+    return $(document.body).on('theme:load-more:refresh.loadMore', (function(_this) {
+      return function() {
+        return _this.refresh();
+      };
+    })(this));
+  };
+
+  LoadMoreView.prototype.refresh = function() {
+    var $button;
+    this._disconnect();
+    $button = this.$('[data-load-more-button]');
+    if (!(this.$('[data-load-more]').attr('data-load-more') === 'infinite' && $button.length)) {
+      return;
+    }
+    this.observer = new IntersectionObserver((function(_this) {
+      return function(entries) {
+        if (entries[0].isIntersecting) {
+          return _this.loadMore();
+        }
+      };
+    })(this), {
+      rootMargin: '0px 0px 400px 0px'
+    });
+    return this.observer.observe($button[0]);
+  };
+
+  LoadMoreView.prototype.loadMore = function(event) {
+    var $button, url;
+    if (event != null) {
+      event.preventDefault();
+    }
+    $button = this.$('[data-load-more-button]');
+    if (this.request || !$button.length) {
+      return;
+    }
+    url = $button.attr('href');
+    $button.addClass('loading');
+    return this.request = this.requestPage(url).done((function(_this) {
+      return function(response) {
+        _this.request = null;
+        return _this._append(response);
+      };
+    })(this)).fail((function(_this) {
+      return function(xhr, status) {
+        _this.request = null;
+        $button.removeClass('loading');
+        if (status !== 'abort') {
+          return window.location.href = url;
+        }
+      };
+    })(this));
+  };
+
+  /*
+      The URL is left on the first page, since reloading ?page=N would show
+      that page alone rather than everything loaded so far.
+   */
+
+  LoadMoreView.prototype._append = function(response) {
+    var $anchor, $items, $response;
+    $response = $('<div />').append($.parseHTML(response));
+    $items = $();
+    $anchor = null;
+    $response.find('[data-load-more-container]').each((function(_this) {
+      return function(index, container) {
+        var $children, $container, name;
+        name = container.getAttribute('data-load-more-container');
+        $container = _this.$("[data-load-more-container='" + name + "']");
+        if ($container.length) {
+          $children = $(container).children();
+          $container.append($children);
+          $items = $items.add($children);
+          return $anchor = $container;
+        }
+        if ($anchor != null) {
+          $anchor.after(container);
+        } else {
+          _this.$('[data-load-more]').closest('.module-wrapper').before(container);
+        }
+        $items = $items.add($(container).children());
+        return $anchor = $(container);
+      };
+    })(this));
+    this.$('[data-load-more]').replaceWith($response.find('[data-load-more]'));
+    $items.trigger('theme:rimg:watch');
+    if (Theme.enableCurrencyConverter) {
+      $items.find('.money').each(function(index, priceField) {
+        return CurrencyConverter.update(priceField);
+      });
+    }
+    this.onAppend($items);
+    return this.refresh();
+  };
+
+  LoadMoreView.prototype._disconnect = function() {
+    if (this.observer != null) {
+      this.observer.disconnect();
+    }
+    return this.observer = null;
+  };
+
+  LoadMoreView.prototype.prepareRemove = function() {
+    var ref;
+    if (((ref = this.request) != null ? ref.abort : void 0) != null) {
+      ref.abort();
+    }
+    this._disconnect();
+    $(document.body).off('.loadMore');
+    return this.undelegateEvents();
+  };
+
+  return LoadMoreView;
+
+})(Backbone.View);
+
+window.AccordionView = (function(superClass) {
+  extend(AccordionView, superClass);
+
+  function AccordionView() {
+    return AccordionView.__super__.constructor.apply(this, arguments);
+  }
+
+  AccordionView.prototype.events = {
+    'click [data-accordion-trigger]': '_toggle'
+  };
+
+  AccordionView.prototype.initialize = function() {
+    this.accordionContent = '[data-accordion-content]';
+    this.accordionTrigger = '[data-accordion-trigger]';
+    return this.activeAccordion = 'accordion-active';
+  };
+
+  AccordionView.prototype._toggle = function(event) {
+    var $content, $target, trigger;
+    event.preventDefault();
+    $target = $(event.currentTarget);
+    trigger = $target.attr('data-accordion-trigger');
+    $content = $("[data-accordion-content=" + trigger + "]");
+    if ($target.hasClass(this.activeAccordion)) {
+      return this._close($target, $content);
+    } else {
+      this._closeAll();
+      return this._open($target, $content);
+    }
+  };
+
+  AccordionView.prototype._closeAll = function() {
+    return $(this.accordionTrigger).each((function(_this) {
+      return function(index, accordion) {
+        var $target;
+        $target = $(accordion);
+        if ($target.hasClass(_this.activeAccordion)) {
+          return $target.trigger('click');
+        }
+      };
+    })(this));
+  };
+
+  AccordionView.prototype._open = function($target, $content) {
+    return $content.slideDown({
+      duration: 400,
+      start: (function(_this) {
+        return function() {
+          return $target.addClass(_this.activeAccordion);
+        };
+      })(this)
+    });
+  };
+
+  AccordionView.prototype._close = function($target, $content) {
+    return $content.slideUp({
+      duration: 400,
+      start: (function(_this) {
+        return function() {
+          return $target.removeClass(_this.activeAccordion);
+        };
+      })(this)
+    });
+  };
+
+  AccordionView.prototype.onBlockSelect = function(event) {
+    var $container, $target;
+    $container = $(event.target);
+    $target = $container.find(this.accordionTrigger);
+    if (!$target.hasClass(this.activeAccordion)) {
+      return $target.trigger('click');
+    }
+  };
+
+  return AccordionView;
+
+})(Backbone.View);
+
+window.GoogleMapView = (function(superClass) {
+  extend(GoogleMapView, superClass);
+
+  function GoogleMapView() {
+    this._getGoogleInfoBoxScript = bind(this._getGoogleInfoBoxScript, this);
+    return GoogleMapView.__super__.constructor.apply(this, arguments);
+  }
+
+  GoogleMapView.prototype.initialize = function() {
+    this.mapCanvas = '[data-google-map]';
+    this.$mapCanvas = this.$el.find(this.mapCanvas);
+    this.context = JSON.parse(this.$el.find('[data-google-map-json]').text());
+    this.infoBoxURL = this.$mapCanvas.data("infobox-url");
+    return this._getGoogleScript();
+  };
+
+  GoogleMapView.prototype._getGoogleScript = function() {
+    var googleMapsURL;
+    if (this.context.apiKey.length) {
+      googleMapsURL = "//maps.googleapis.com/maps/api/js?key=" + this.context.apiKey;
+    } else {
+      googleMapsURL = '//maps.googleapis.com/maps/api/js';
+    }
+    if (typeof window.google === 'undefined') {
+      return $.getScript(googleMapsURL).done((function(_this) {
+        return function(script, textStatus) {
+          return _this._getGoogleInfoBoxScript(textStatus);
+        };
+      })(this)).fail((function(_this) {
+        return function(jqxhr, settings, exception) {
+          return _this._scriptFailed('GoogleMaps', {
+            jqxhr: jqxhr,
+            settings: settings,
+            exception: exception
+          });
+        };
+      })(this));
+    } else {
+      return this._getGoogleInfoBoxScript('success');
+    }
+  };
+
+  GoogleMapView.prototype._getGoogleInfoBoxScript = function(textStatus) {
+    if (textStatus !== 'success') {
+      return this._scriptFailed('GoogleMaps');
+    }
+    return $.getScript(this.infoBoxURL).done((function(_this) {
+      return function(script, textStatus) {
+        return _this._infoBoxLoaded(textStatus);
+      };
+    })(this)).fail((function(_this) {
+      return function(jqxhr, settings, exception) {
+        return _this._scriptFailed('Infobox', {
+          jqxhr: jqxhr,
+          settings: settings,
+          exception: exception
+        });
+      };
+    })(this));
+  };
+
+  GoogleMapView.prototype._scriptFailed = function(scriptName, options) {
+    if (options == null) {
+      options = {};
+    }
+    console.warn(scriptName + " failed to load");
+    if (options != null) {
+      return console.warn(options);
+    }
+  };
+
+  GoogleMapView.prototype._hasErrors = function(status) {
+    var errorMessage;
+    switch (status) {
+      case 'ZERO_RESULTS':
+        errorMessage = this.context.addressNoResults;
+        break;
+      case 'OVER_QUERY_LIMIT':
+        errorMessage = this.context.addressQueryLimit;
+        break;
+      default:
+        errorMessage = this.context.addressError;
+    }
+    return this.$mapCanvas.append("<div class=\"module-map-error\">" + errorMessage + "</div>");
+  };
+
+  GoogleMapView.prototype._infoBoxLoaded = function(textStatus) {
+    if (textStatus !== 'success') {
+      return this._scriptFailed('Infobox');
+    }
+    this.geocoder = new google.maps.Geocoder;
+    return this.geocoder.geocode({
+      "address": this.context.address
+    }, (function(_this) {
+      return function(results, status) {
+        var infobox, map, mapOptions, marker, stylesArray;
+        if (status !== google.maps.GeocoderStatus.OK) {
+          return _this._hasErrors(status);
+        }
+        _this.$el.addClass('has-map');
+        stylesArray = [
+          {
+            'featureType': 'administrative',
+            'elementType': 'labels.text.fill',
+            'stylers': [
+              {
+                'color': '#444444'
+              }
+            ]
+          }, {
+            'featureType': 'landscape',
+            'elementType': 'all',
+            'stylers': [
+              {
+                'color': '#f2f2f2'
+              }
+            ]
+          }, {
+            'featureType': 'poi',
+            'elementType': 'all',
+            'stylers': [
+              {
+                'visibility': 'off'
+              }
+            ]
+          }, {
+            'featureType': 'road',
+            'elementType': 'all',
+            'stylers': [
+              {
+                'saturation': -100
+              }, {
+                'lightness': 45
+              }
+            ]
+          }, {
+            'featureType': 'road.highway',
+            'elementType': 'all',
+            'stylers': [
+              {
+                'visibility': 'simplified'
+              }
+            ]
+          }, {
+            'featureType': 'road.arterial',
+            'elementType': 'labels.icon',
+            'stylers': [
+              {
+                'visibility': 'off'
+              }
+            ]
+          }, {
+            'featureType': 'transit',
+            'elementType': 'all',
+            'stylers': [
+              {
+                'visibility': 'off'
+              }
+            ]
+          }, {
+            'featureType': 'water',
+            'elementType': 'all',
+            'stylers': [
+              {
+                'color': '#419bf9'
+              }, {
+                'visibility': 'on'
+              }
+            ]
+          }
+        ];
+        mapOptions = {
+          center: {
+            lat: results[0].geometry.location.lat(),
+            lng: results[0].geometry.location.lng()
+          },
+          zoom: 15,
+          styles: stylesArray,
+          scrollwheel: false
+        };
+        map = new google.maps.Map(document.querySelector(_this.mapCanvas), mapOptions);
+        marker = new google.maps.Marker({
+          position: mapOptions.center
+        });
+        marker.setMap(map);
+        infobox = new InfoBox({
+          content: "<div class='info-box-container'>" + _this.context.title + "</div>",
+          disableAutoPan: false,
+          pixelOffset: new google.maps.Size(0, -120),
+          zIndex: null,
+          closeBoxURL: "",
+          infoBoxClearance: new google.maps.Size(1, 1)
+        });
+        infobox.open(map, marker);
+        return google.maps.event.addDomListener(window, 'resize', function() {
+          return setTimeout((function(_this) {
+            return function() {
+              return map.setCenter(mapOptions.center);
+            };
+          })(this), 100);
+        });
+      };
+    })(this));
+  };
+
+  return GoogleMapView;
+
+})(Backbone.View);
+
+window.ThemeEditor = (function(superClass) {
+  extend(ThemeEditor, superClass);
+
+  function ThemeEditor() {
+    return ThemeEditor.__super__.constructor.apply(this, arguments);
+  }
+
+  ThemeEditor.prototype.initialize = function() {
+    this.instanceHandlers = {};
+    this.instances = {};
+    return $(document).on('shopify:section:load', (function(_this) {
+      return function(event) {
+        return _this._onSectionLoad(event);
+      };
+    })(this)).on('shopify:section:unload', (function(_this) {
+      return function(event) {
+        return _this._onSectionUnload(event);
+      };
+    })(this)).on('shopify:section:select', (function(_this) {
+      return function(event) {
+        return _this._onSectionSelect(event);
+      };
+    })(this)).on('shopify:section:deselect', (function(_this) {
+      return function(event) {
+        return _this._onSectionDeselect(event);
+      };
+    })(this)).on('shopify:block:select', (function(_this) {
+      return function(event) {
+        return _this._onBlockSelect(event);
+      };
+    })(this)).on('shopify:block:deselect', (function(_this) {
+      return function(event) {
+        return _this._onBlockDeselect(event);
+      };
+    })(this));
+  };
+
+  ThemeEditor.prototype._findInstance = function(event) {
+    var $container, instance;
+    instance = this.instances[event.originalEvent.detail.sectionId];
+    if (instance != null) {
+      return instance;
+    } else {
+      $container = $('[data-section-id]', event.target);
+      if ($container.length) {
+        return this._createInstance($container);
+      }
+    }
+  };
+
+  ThemeEditor.prototype._createInstance = function($container, instanceHandler) {
+    var data, el, instance, sectionId, sectionType;
+    sectionType = $container.attr('data-section-type');
+    sectionId = $container.attr('data-section-id');
+    el = $container.parent()[0];
+    data = this._loadData(el);
+    if (sectionType == null) {
+      return;
+    }
+    instanceHandler = instanceHandler || this.instanceHandlers[sectionType];
+    instance = {
+      $container: $container,
+      el: el,
+      data: data,
+      instanceHandler: instanceHandler,
+      sectionId: sectionId
+    };
+    this.instances[sectionId] = instance;
+    return instance;
+  };
+
+
+  /*
+      Action: A section has been added or re-rendered.
+      Expected: Re-execute any JavaScript needed for the section to work and
+          display properly (as if the page had just been loaded).
+   */
+
+  ThemeEditor.prototype._onSectionLoad = function(event) {
+    var $container, ref, ref1;
+    $container = $('[data-section-id]', event.target);
+    if (!$container.length) {
+      return;
+    }
+    return (ref = this._createInstance($container)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onSectionLoad === "function" ? ref1.onSectionLoad(event) : void 0 : void 0 : void 0;
+  };
+
+
+  /*
+      Action: A section has been deleted or is being re-rendered.
+      Expected: Clean up any event listeners, variables, etc., so that
+          nothing breaks when the page is interacted with and no memory leaks occur.
+   */
+
+  ThemeEditor.prototype._onSectionUnload = function(event) {
+    var instance, ref;
+    instance = this._findInstance(event);
+    if (instance != null) {
+      if ((ref = instance.instanceHandler) != null) {
+        if (typeof ref.onSectionUnload === "function") {
+          ref.onSectionUnload(event);
+        }
+      }
+    }
+    if (instance) {
+      return delete this.instances[instance.sectionId];
+    }
+  };
+
+
+  /*
+      Action: User has selected the section in the sidebar.
+      Expected: Make sure the section is in view and stays
+          in view while selected (scrolling happens automatically).
+      Example: Could be used to pause a slideshow
+   */
+
+  ThemeEditor.prototype._onSectionSelect = function(event) {
+    var ref, ref1;
+    return (ref = this._findInstance(event)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onSectionSelect === "function" ? ref1.onSectionSelect(event) : void 0 : void 0 : void 0;
+  };
+
+
+  /*
+      Action: User has deselected the section in the sidebar.
+      Expected: (None)
+      Example: Could be used to restart slideshows that are no longer being interacted with.
+   */
+
+  ThemeEditor.prototype._onSectionDeselect = function(event) {
+    var ref, ref1;
+    return (ref = this._findInstance(event)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onSectionDeselect === "function" ? ref1.onSectionDeselect(event) : void 0 : void 0 : void 0;
+  };
+
+
+  /*
+      Action: User has selected the block in the sidebar.
+      Expected: Make sure the block is in view and stays
+          in view while selected (scrolling happens automatically).
+      Example: Can be used to to trigger a slideshow to bring a slide/block into view
+   */
+
+  ThemeEditor.prototype._onBlockSelect = function(event) {
+    var ref, ref1;
+    return (ref = this._findInstance(event)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onBlockSelect === "function" ? ref1.onBlockSelect(event) : void 0 : void 0 : void 0;
+  };
+
+
+  /*
+      Action: User has deselected the block in the sidebar.
+      Expected: (None)
+      Example: Resume a slideshow
+   */
+
+  ThemeEditor.prototype._onBlockDeselect = function(event) {
+    var ref, ref1;
+    return (ref = this._findInstance(event)) != null ? (ref1 = ref.instanceHandler) != null ? typeof ref1.onBlockDeselect === "function" ? ref1.onBlockDeselect(event) : void 0 : void 0 : void 0;
+  };
+
+
+  /*
+      Auto initialisation of a section for the store front
+   */
+
+  ThemeEditor.prototype._sectionInit = function(instance) {
+    var ref;
+    return instance != null ? (ref = instance.instanceHandler) != null ? typeof ref.init === "function" ? ref.init(instance) : void 0 : void 0 : void 0;
+  };
+
+  ThemeEditor.prototype._loadData = function(el) {
+    var data, dataEl, error;
+    dataEl = el.querySelector('[data-section-data]');
+    if (!dataEl) {
+      return {};
+    }
+    data = dataEl.getAttribute('data-section-data') || dataEl.innerHTML;
+    try {
+      return JSON.parse(data);
+    } catch (error1) {
+      error = error1;
+      console.warn("Sections: invalid section data found. " + error.message);
+      return {};
+    }
+  };
+
+
+  /*
+      Registration of a section
+          - Takes a string parameter as the first argument which
+            matches to `[data-section-type]`
+  
+       * Example
+          @sections = new Sections()
+          @sections.register('some-section-type', @someSectionClass)
+   */
+
+  ThemeEditor.prototype.register = function(type, instanceHandler) {
+
+    /*
+        Storage of a instanceHandler based on the sectionType allows _onSectionLoad
+           to connect a new section to it's registered instanceHandler
+     */
+    this.instanceHandlers[type] = instanceHandler;
+    return $("[data-section-type='" + type + "']").each((function(_this) {
+      return function(index, container) {
+        var $container;
+        $container = $(container);
+        return _this._sectionInit(_this._createInstance($container, instanceHandler));
+      };
+    })(this));
+  };
+
+
+  /*
+      Public method to retrieve information on an instance based on the
+      bubbled `event`
+   */
+
+  ThemeEditor.prototype.getInstance = function(event) {
+    return this._findInstance(event);
+  };
+
+  return ThemeEditor;
+
+})(Backbone.View);
+
+window.PageView = (function(superClass) {
+  extend(PageView, superClass);
+
+  function PageView() {
+    return PageView.__super__.constructor.apply(this, arguments);
+  }
+
+  PageView.prototype.initialize = function() {
+    this.sections = new ThemeEditor();
+    this.sections.register('map', this.mapSection(this.sections));
+    return this.sections.register('faq', this.accordionView(this.sections));
+  };
+
+  PageView.prototype.accordionView = function(sections) {
+    return {
+      instances: {},
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new AccordionView({
+          el: instance.$container
+        });
+      },
+      onSectionLoad: function(event) {
+        var instance, sectionId;
+        instance = sections.getInstance(event);
+        sectionId = instance.sectionId;
+        if (this.instances[sectionId] == null) {
+          return this.init(instance);
+        }
+      },
+      onSectionUnload: function(event) {
+        var sectionId;
+        sectionId = sections.getInstance(event).sectionId;
+        this.instances[sectionId].remove();
+        return delete this.instances[sectionId];
+      },
+      onBlockSelect: function(event) {
+        return this.instances[sections.getInstance(event).sectionId].onBlockSelect(event);
+      }
+    };
+  };
+
+  PageView.prototype.mapSection = function(sections) {
+    return {
+      instances: {},
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new GoogleMapView({
+          el: instance.$container
+        });
+      },
+      onSectionLoad: function(event) {
+        var instance, sectionId;
+        instance = sections.getInstance(event);
+        sectionId = instance.sectionId;
+        if (this.instances[sectionId] == null) {
+          return this.init(instance);
+        }
+      },
+      onSectionUnload: function(event) {
+        var sectionId;
+        sectionId = sections.getInstance(event).sectionId;
+        this.instances[sectionId].remove();
         return delete this.instances[sectionId];
       }
     };
@@ -4691,706 +7304,1529 @@ window.PageView = (function(superClass) {
 
 })(Backbone.View);
 
-window.PasswordView = (function(superClass) {
-  extend(PasswordView, superClass);
+window.PasswordView = (function(superClass) {
+  extend(PasswordView, superClass);
+
+  function PasswordView() {
+    return PasswordView.__super__.constructor.apply(this, arguments);
+  }
+
+  PasswordView.prototype.events = {
+    "click .password-entry": "togglePasswordForm",
+    "submit .password-embedded-newsletter-form": "toggleNewsletterSuccess"
+  };
+
+  PasswordView.prototype.initialize = function() {
+    this.toggle = this.$(".password-entry");
+    this.subscribeWrapper = this.$(".password-subscribe-wrapper");
+    this.passwordWrapper = this.$(".password-form-wrapper");
+    this.newsletterInput = ".newsletter-input";
+    this.emailRegEx = new RegExp(/^((?!\.)[a-z0-9._%+-]+(?!\.)\w)@[a-z0-9-\.]+\.[a-z.]{2,5}(?!\.)\w$/i);
+    $(window).on("load resize", window.ThemeUtils.debounce(this.setContentHeight, 100));
+    if (this.$("[data-password-form-inner]").hasClass("has-errors")) {
+      return this.togglePasswordForm();
+    }
+  };
+
+  PasswordView.prototype.toggleNewsletterSuccess = function(event) {
+    if (this.emailRegEx.test(this.$(this.newsletterInput).val())) {
+      this.$(".password-embedded-newsletter-form").addClass("hidden");
+      return this.$(".form-success.hidden").removeClass("hidden");
+    } else {
+      return event.preventDefault();
+    }
+  };
+
+  PasswordView.prototype.togglePasswordForm = function() {
+    this.passwordWrapper.add(this.subscribeWrapper).toggleClass("visible");
+    if (this.passwordWrapper.hasClass("visible")) {
+      return this.toggle.text(this.toggle.data("cancel"));
+    } else {
+      return this.toggle.text(this.toggle.data("enter-password"));
+    }
+  };
+
+  PasswordView.prototype.setContentHeight = function() {
+    var contentHeight, footer, footerHeight, headerHeight, windowHeight;
+    footer = this.$(".footer-wrapper");
+    windowHeight = $(window).height();
+    headerHeight = this.$(".main-header-wrapper").outerHeight(true);
+    footerHeight = footer.outerHeight(true);
+    contentHeight = this.$(".main-content").outerHeight(true);
+    if (windowHeight > headerHeight + contentHeight + footerHeight) {
+      return footer.css({
+        "position": "fixed"
+      });
+    } else {
+      return footer.css({
+        "position": "relative"
+      });
+    }
+  };
+
+  return PasswordView;
+
+})(Backbone.View);
+
+window.RTEView = (function(superClass) {
+  extend(RTEView, superClass);
+
+  function RTEView() {
+    return RTEView.__super__.constructor.apply(this, arguments);
+  }
+
+  RTEView.prototype.events = {
+    'change .select-wrapper select': 'updateOption'
+  };
+
+  RTEView.prototype.initialize = function() {
+    var j, len, select, selects;
+    this.setupTabs();
+    selects = this.$el.find('select');
+    for (j = 0, len = selects.length; j < len; j++) {
+      select = selects[j];
+      if (!$(select).parent('.select-wrapper').length) {
+        $(select).wrap('<div class="select-wrapper" />').parent().prepend('<span class="selected-text"></span>');
+      }
+      this.updateOption(null, select);
+    }
+    this.$el.fitVids();
+    this.mobilifyTables();
+    return $(window).resize((function(_this) {
+      return function() {
+        return _this.mobilifyTables();
+      };
+    })(this));
+  };
+
+  RTEView.prototype.setupTabs = function() {
+    var groupedContent;
+    return groupedContent = new GroupedContent(this.$el.get(0), {
+      layout: 'tabs',
+      intelliparse: false
+    });
+  };
+
+  RTEView.prototype.updateOption = function(e, selector) {
+    var newOption, select;
+    select = e ? $(e.target) : $(selector);
+    newOption = select.find('option:selected').text();
+    return select.siblings('.selected-text').text(newOption);
+  };
+
+  RTEView.prototype.mobilifyTables = function() {
+    return this.$el.find('table').mobileTable();
+  };
+
+  return RTEView;
+
+})(Backbone.View);
+
+window.SelectView = (function(superClass) {
+  extend(SelectView, superClass);
+
+  function SelectView() {
+    return SelectView.__super__.constructor.apply(this, arguments);
+  }
+
+  SelectView.prototype.events = {
+    "change": "updateSelectText",
+    "blur": "blurSelect",
+    "focus": "focusSelect"
+  };
+
+  SelectView.prototype.initialize = function() {
+    if (!(this.$el.parent(".select-wrapper").length || this.$el.hasClass("product-select"))) {
+      this.$el.wrap("<div class='select-wrapper' />").parent().prepend("<span class='selected-text'></span>");
+    }
+    return this.updateSelectText();
+  };
+
+  SelectView.prototype.blurSelect = function() {
+    return this.$el.parent(".select-wrapper").toggleClass("active", false);
+  };
+
+  SelectView.prototype.focusSelect = function() {
+    return this.$el.parent(".select-wrapper").toggleClass("active", true);
+  };
+
+  SelectView.prototype.updateSelectText = function() {
+    var newOption;
+    newOption = this.$el.find("option:selected").text();
+    return this.$el.siblings(".selected-text").text(newOption);
+  };
+
+  return SelectView;
+
+})(Backbone.View);
+
+
+
+/*!
+ * pxs-announcement-bar v0.0.0
+ * (c) 2018 Pixel Union
+ */
+
+(function (global, factory) {
+	typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory() :
+	typeof define === 'function' && define.amd ? define(factory) :
+	(global.PxsAnnouncementBar = factory());
+}(this, (function () { 'use strict';
+
+/**
+ * Trigger a custom event.
+ *
+ * Note: this approach is deprecated, but still required to support older
+ * browsers such as IE 10.
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/Guide/Events/Creating_and_triggering_events
+ * @param {*} el The element to trigger the event on.
+ * @param {*} name The event name.
+ * @returns {Boolean} True if the event was canceled.
+ */
+function trigger(el, name) {
+  var event = document.createEvent('Event');
+  event.initEvent(name, true, true);
+  return !el.dispatchEvent(event);
+}
+
+var classCallCheck = function (instance, Constructor) {
+  if (!(instance instanceof Constructor)) {
+    throw new TypeError("Cannot call a class as a function");
+  }
+};
+
+var createClass = function () {
+  function defineProperties(target, props) {
+    for (var i = 0; i < props.length; i++) {
+      var descriptor = props[i];
+      descriptor.enumerable = descriptor.enumerable || false;
+      descriptor.configurable = true;
+      if ("value" in descriptor) descriptor.writable = true;
+      Object.defineProperty(target, descriptor.key, descriptor);
+    }
+  }
+
+  return function (Constructor, protoProps, staticProps) {
+    if (protoProps) defineProperties(Constructor.prototype, protoProps);
+    if (staticProps) defineProperties(Constructor, staticProps);
+    return Constructor;
+  };
+}();
+
+var PxsAnnouncementBar = function () {
+  function PxsAnnouncementBar(section) {
+    classCallCheck(this, PxsAnnouncementBar);
+
+    this.el = section.el;
+    this.scrolledPast = false;
+
+    this._onScroll = this._onScroll.bind(this);
+    this._bindEvents();
+  }
+
+  createClass(PxsAnnouncementBar, [{
+    key: 'onSectionUnload',
+    value: function onSectionUnload() {
+      window.removeEventListener('scroll', this._onScroll);
+    }
+  }, {
+    key: '_bindEvents',
+    value: function _bindEvents() {
+      window.addEventListener('scroll', this._onScroll);
+    }
+  }, {
+    key: '_onScroll',
+    value: function _onScroll() {
+      var _window = window,
+          pageYOffset = _window.pageYOffset;
+
+      var _el$getBoundingClient = this.el.getBoundingClientRect(),
+          height = _el$getBoundingClient.height;
+
+      var scrolledPast = pageYOffset > height;
+
+      // Trigger a hide event when viewport has scrolled past
+      if (!this.scrolledPast && scrolledPast) {
+        this.scrolledPast = true;
+        trigger(this.el, 'pxs-ab-hide');
+      }
+
+      // Trigger a show announcement bar is back in view
+      if (this.scrolledPast && !scrolledPast) {
+        this.scrolledPast = false;
+        trigger(this.el, 'pxs-ab-show');
+      }
+    }
+  }]);
+  return PxsAnnouncementBar;
+}();
+
+return PxsAnnouncementBar;
+
+})));
+
+;
+
+window.AnnouncementBar = (function() {
+  function AnnouncementBar(instance) {
+    this.$document = $(document.body);
+    this.el = instance.el;
+    this.announcementBar = new PxsAnnouncementBar(instance);
+    this._checkAnnouncementBar();
+  }
+
+  AnnouncementBar.prototype.onSectionUnload = function() {
+    this.announcementBar.onSectionUnload();
+    return this._checkAnnouncementBar();
+  };
+
+  AnnouncementBar.prototype._checkAnnouncementBar = function() {
+    this.announcementBarEl = this.el.querySelector('.pxs-announcement-bar');
+    return this.$document.trigger('checkAnnouncementBar', {
+      el: this.announcementBarEl
+    });
+  };
+
+  return AnnouncementBar;
+
+})();
+
+window.CurrencyView = (function(superClass) {
+  extend(CurrencyView, superClass);
+
+  function CurrencyView() {
+    return CurrencyView.__super__.constructor.apply(this, arguments);
+  }
+
+  CurrencyView.prototype.events = {
+    'change [data-currency-converter]': 'convertAll'
+  };
+
+  CurrencyView.prototype.convertAll = function(event) {
+    CurrencyConverter.setCurrency(event.currentTarget.value);
+    return $('.selected-currency', this.$el).text(event.currentTarget.value);
+  };
+
+  return CurrencyView;
+
+})(Backbone.View);
+
+window.GoalView = (function(superClass) {
+  extend(GoalView, superClass);
 
-  function PasswordView() {
-    return PasswordView.__super__.constructor.apply(this, arguments);
+  function GoalView() {
+    return GoalView.__super__.constructor.apply(this, arguments);
   }
 
-  PasswordView.prototype.events = {
-    "click .password-entry": "togglePasswordForm",
-    "submit .password-embedded-newsletter-form": "toggleNewsletterSuccess"
+  GoalView.prototype.initialize = function() {
+    this.$document = $(document.body);
+    this.$selector = $('[data-goal-countdown]');
+    this.endDateTime = this.$selector.data('end-time');
+    if (this.$selector.length && this.getRemainingTime().total >= 0) {
+      return this.countDownTimer();
+    } else {
+      return $(document.body).addClass('has-goal-expired');
+    }
   };
 
-  PasswordView.prototype.initialize = function() {
-    this.toggle = this.$(".password-entry");
-    this.subscribeWrapper = this.$(".password-subscribe-wrapper");
-    this.passwordWrapper = this.$(".password-form-wrapper");
-    this.newsletterInput = ".newsletter-input";
-    this.emailRegEx = new RegExp(/^((?!\.)[a-z0-9._%+-]+(?!\.)\w)@[a-z0-9-\.]+\.[a-z.]{2,5}(?!\.)\w$/i);
-    $(window).on("load resize", window.ThemeUtils.debounce(this.setContentHeight, 100));
-    if (this.$("[data-password-form-inner]").hasClass("has-errors")) {
-      return this.togglePasswordForm();
+  GoalView.prototype.getRemainingTime = function() {
+    var _day, _hour, _minute, _second, days, hours, minutes, seconds, t;
+    _second = 1000;
+    _minute = _second * 60;
+    _hour = _minute * 60;
+    _day = _hour * 24;
+    t = Date.parse(this.endDateTime) - Date.parse(new Date());
+    seconds = Math.floor((t / _second) % 60);
+    minutes = Math.floor((t / _minute) % 60);
+    hours = Math.floor((t / _hour) % 24);
+    days = Math.floor(t / _day);
+    return {
+      'total': t,
+      'days': days,
+      'hours': hours,
+      'minutes': minutes,
+      'seconds': seconds
+    };
+  };
+
+  GoalView.prototype.countDownTimer = function() {
+    this.$countdownDays = this.$selector.find("[data-goal-countdown-days]");
+    this.$countdownHours = this.$selector.find("[data-goal-countdown-hours]");
+    this.$countdownMinutes = this.$selector.find("[data-goal-countdown-minutes]");
+    this.$countdownSeconds = this.$selector.find("[data-goal-countdown-seconds]");
+    this.lastDayText = this.$selector.data("alt-text");
+    this.$productViewDays = $(".product-goal-info-days");
+    this.$productViewDaysWrapper = $(".product-goal-info-remaining");
+    this.runTimer();
+    this.timer = setInterval((function(_this) {
+      return function() {
+        return _this.runTimer();
+      };
+    })(this), 1000);
+    return setTimeout((function(_this) {
+      return function() {
+        _this.$el.addClass('active');
+        return _this.$document.trigger('checkHeaderOffsets');
+      };
+    })(this), 100);
+  };
+
+  GoalView.prototype.runTimer = function() {
+    var timeRemaining;
+    timeRemaining = this.getRemainingTime();
+    if (timeRemaining.total <= 0) {
+      this.$(".module-header-goal-time-up").removeClass("hidden");
+      this.$selector.addClass("hidden");
+      clearInterval(this.timer);
+      return;
+    } else {
+      this.$countdownDays.html(timeRemaining.days);
+      this.$countdownHours.html(timeRemaining.hours);
+      this.$countdownMinutes.html(timeRemaining.minutes);
+      this.$countdownSeconds.html(timeRemaining.seconds);
+    }
+    if (this.$productViewDays.length) {
+      if (timeRemaining.total > 0 && timeRemaining.days === 0) {
+        return this.$productViewDaysWrapper.html(this.lastDayText);
+      } else {
+        return this.$productViewDays.html(timeRemaining.days);
+      }
+    }
+  };
+
+  return GoalView;
+
+})(Backbone.View);
+
+window.Instagram = (function() {
+  function Instagram($el) {
+    this.$photoContainer = null;
+    this.$errorContainer = null;
+    this.rimg = null;
+    this.photos = [];
+    this._renderPhotos = this._renderPhotos.bind(this);
+    if (!$el.length) {
+      return;
+    }
+    this.init($el);
+  }
+
+  Instagram.prototype.init = function($el) {
+    this.$photoContainer = $el.find('[data-instagram-photos]');
+    this.accessToken = $el.find('[data-instagram-token]').attr('data-instagram-token');
+    this.accessTokenError = $el.find('[data-instagram-error]').attr('data-instagram-error');
+    rimg.shopify.instance.track(this.$photoContainer[0]);
+    if (this.accessToken.length > 0) {
+      this._getPhotos();
+      return this.$photoContainer.on('rimg:enter', (function(_this) {
+        return function() {
+          return _this._renderPhotos();
+        };
+      })(this));
+    } else {
+      return this._hasError(false);
+    }
+  };
+
+  Instagram.prototype.unload = function() {
+    return rimg.shopify.instance.track(this.$photoContainer[0]);
+  };
+
+  Instagram.prototype._getPhotos = function(callback) {
+    var url;
+    if (callback == null) {
+      callback = null;
+    }
+    url = "https://api.instagram.com/v1/users/self/media/recent?access_token=" + this.accessToken + "&count=6&callback=";
+    return $.ajax({
+      type: "GET",
+      dataType: "jsonp",
+      url: url,
+      success: (function(_this) {
+        return function(response) {
+          if (response.meta.code === 200) {
+            _this.$photoContainer.html('');
+            _this.photos = response.data;
+            return typeof callback === "function" ? callback() : void 0;
+          } else {
+            _this._hasError(response);
+            return _this._errorOverlay();
+          }
+        };
+      })(this),
+      error: (function(_this) {
+        return function(response) {
+          return _this._hasError(response);
+        };
+      })(this)
+    });
+  };
+
+  Instagram.prototype._renderPhotos = function() {
+    var image, j, len, photo, ref, results1, scale;
+    if (!this.photos.length) {
+      return this._getPhotos(this._renderPhotos);
+    }
+    ref = this.photos;
+    results1 = [];
+    for (j = 0, len = ref.length; j < len; j++) {
+      photo = ref[j];
+      image = photo.images.standard_resolution;
+      scale = image.width > image.height ? 'y' : 'x';
+      results1.push(this.$photoContainer.append("<div class=\"instagram-photo\">\n    <a\n        class=\"instagram-link\"\n        target=\"_blank\"\n        href=\"" + photo.link + "\"\n    >\n        <img\n            class=\"\n                instagram-image\n                instagram-image-scale-" + scale + "\n            \"\n            src=\"" + image.url + "\"\n        />\n    </a>\n</div>"));
+    }
+    return results1;
+  };
+
+  Instagram.prototype._errorOverlay = function() {
+    if (this.$photoContainer.find('[data-instagram-errror]').length) {
+      return;
+    }
+    this.$photoContainer.append("<div class=\"instagram-error\" data-instagram-error>" + this.accessTokenError + "</div>");
+    return this.$errorContainer = this.$photoContainer.find('[data-instagram-errror]');
+  };
+
+  Instagram.prototype._hasError = function(response) {
+    if (response) {
+      return console.log("Instagram error: " + response.meta.error_message);
     }
   };
 
-  PasswordView.prototype.toggleNewsletterSuccess = function(event) {
-    if (this.emailRegEx.test(this.$(this.newsletterInput).val())) {
-      this.$(".password-embedded-newsletter-form").addClass("hidden");
-      return this.$(".form-success.hidden").removeClass("hidden");
-    } else {
-      return event.preventDefault();
-    }
+  return Instagram;
+
+})();
+
+
+/*********************************************************************
+ * @license
+*  #### Twitter Post Fetcher v17.1.0 ####
+*  Coded by Jason Mayes 2015. A present to all the developers out there.
+*  www.jasonmayes.com
+*  Please keep this disclaimer with my code if you use it. Thanks. :-)
+*  Got feedback or questions, ask here:
+*  http://www.jasonmayes.com/projects/twitterApi/
+*  Github: https://github.com/jasonmayes/Twitter-Post-Fetcher
+*  Updates will be posted to this site.
+*********************************************************************/
+!function(e,t){"function"==typeof define&&define.amd?define([],t):"object"==typeof exports?module.exports=t():t()}(0,function(){var _="",y=20,T=!0,k=[],C=!1,x=!0,E=!0,N=null,A=!0,I=!0,B=null,L=!0,M=!1,i=!1,R=!1,H=!0,a="en",j=!0,q=!1,n=null;function P(e){return e.replace(/<b[^>]*>(.*?)<\/b>/gi,function(e,t){return t}).replace(/class="(?!(tco-hidden|tco-display|tco-ellipsis))+.*?"|data-query-source=".*?"|dir=".*?"|rel=".*?"/gi,"")}function S(e){for(var t=e.getElementsByTagName("a"),i=t.length-1;0<=i;i--)t[i].setAttribute("target","_blank")}function U(e,t){for(var i=[],a=new RegExp("(^| )"+t+"( |$)"),n=e.getElementsByTagName("*"),s=0,l=n.length;s<l;s++)a.test(n[s].className)&&i.push(n[s]);return i}function F(e){if(void 0!==e&&0<=e.innerHTML.indexOf("data-image")){var t=e.innerHTML.split('data-image="')[1].split('"')[0];return decodeURIComponent(t)+".jpg"}}var O={fetch:function(e){if(void 0===e.maxTweets&&(e.maxTweets=20),void 0===e.enableLinks&&(e.enableLinks=!0),void 0===e.showUser&&(e.showUser=!0),void 0===e.showTime&&(e.showTime=!0),void 0===e.dateFunction&&(e.dateFunction="default"),void 0===e.showRetweet&&(e.showRetweet=!0),void 0===e.customCallback&&(e.customCallback=null),void 0===e.showInteraction&&(e.showInteraction=!0),void 0===e.showImages&&(e.showImages=!1),void 0===e.showReplies&&(e.showReplies=!1),void 0===e.useEmoji&&(e.useEmoji=!1),void 0===e.linksInNewWindow&&(e.linksInNewWindow=!0),void 0===e.showPermalinks&&(e.showPermalinks=!0),void 0===e.dataOnly&&(e.dataOnly=!1),C)k.push(e);else{C=!0,_=e.domId,y=e.maxTweets,T=e.enableLinks,E=e.showUser,x=e.showTime,I=e.showRetweet,N=e.dateFunction,B=e.customCallback,L=e.showInteraction,M=e.showImages,i=e.showReplies,R=e.useEmoji,H=e.linksInNewWindow,j=e.showPermalinks,q=e.dataOnly;var t=document.getElementsByTagName("head")[0];null!==n&&t.removeChild(n),(n=document.createElement("script")).type="text/javascript",void 0!==e.list?n.src="https://syndication.twitter.com/timeline/list?callback=__twttrf.callback&dnt=false&list_slug="+e.list.listSlug+"&screen_name="+e.list.screenName+"&suppress_response_codes=true&lang="+(e.lang||a)+"&rnd="+Math.random():void 0!==e.profile?n.src="https://syndication.twitter.com/timeline/profile?callback=__twttrf.callback&dnt=false&screen_name="+e.profile.screenName+"&with_replies="+i+"&suppress_response_codes=true&lang="+(e.lang||a)+"&rnd="+Math.random():void 0!==e.likes?n.src="https://syndication.twitter.com/timeline/likes?callback=__twttrf.callback&dnt=false&screen_name="+e.likes.screenName+"&suppress_response_codes=true&lang="+(e.lang||a)+"&rnd="+Math.random():n.src="https://cdn.syndication.twimg.com/widgets/timelines/"+e.id+"?&lang="+(e.lang||a)+"&callback=__twttrf.callback&suppress_response_codes=true&rnd="+Math.random(),t.appendChild(n)}},callback:function(e){if(void 0===e||void 0===e.body)return C=!1,void(0<k.length&&(O.fetch(k[0]),k.splice(0,1)));R||(e.body=e.body.replace(/(<img[^c]*class="Emoji[^>]*>)|(<img[^c]*class="u-block[^>]*>)/g,"")),M||(e.body=e.body.replace(/(<img[^c]*class="NaturalImage-image[^>]*>|(<img[^c]*class="CroppedImage-image[^>]*>))/g,"")),E||(e.body=e.body.replace(/(<img[^c]*class="Avatar"[^>]*>)/g,""));var t=document.createElement("div");function i(e){var t=e.getElementsByTagName("img")[0];return t&&t.length&&(t.src=t.getAttribute("data-src-2x")),e}t.innerHTML=e.body,void 0===t.getElementsByClassName&&(A=!1);var a=[],n=[],s=[],l=[],r=[],o=[],c=[],d=0;if(A)for(var m=t.getElementsByClassName("timeline-Tweet");d<m.length;)0<m[d].getElementsByClassName("timeline-Tweet-retweetCredit").length?r.push(!0):r.push(!1),(!r[d]||r[d]&&I)&&(a.push(m[d].getElementsByClassName("timeline-Tweet-text")[0]),o.push(m[d].getAttribute("data-tweet-id")),E&&n.push(i(m[d].getElementsByClassName("timeline-Tweet-author")[0])),s.push(m[d].getElementsByClassName("dt-updated")[0]),c.push(m[d].getElementsByClassName("timeline-Tweet-timestamp")[0]),void 0!==m[d].getElementsByClassName("timeline-Tweet-media")[0]?l.push(m[d].getElementsByClassName("timeline-Tweet-media")[0]):l.push(void 0)),d++;else for(m=U(t,"timeline-Tweet");d<m.length;)0<U(m[d],"timeline-Tweet-retweetCredit").length?r.push(!0):r.push(!1),(!r[d]||r[d]&&I)&&(a.push(U(m[d],"timeline-Tweet-text")[0]),o.push(m[d].getAttribute("data-tweet-id")),E&&n.push(i(U(m[d],"timeline-Tweet-author")[0])),s.push(U(m[d],"dt-updated")[0]),c.push(U(m[d],"timeline-Tweet-timestamp")[0]),void 0!==U(m[d],"timeline-Tweet-media")[0]?l.push(U(m[d],"timeline-Tweet-media")[0]):l.push(void 0)),d++;a.length>y&&(a.splice(y,a.length-y),n.splice(y,n.length-y),s.splice(y,s.length-y),r.splice(y,r.length-y),l.splice(y,l.length-y),c.splice(y,c.length-y));var p=[],u=(d=a.length,0);if(q)for(;u<d;)p.push({tweet:a[u].innerHTML,author:n[u]?n[u].innerHTML:"Unknown Author",author_data:{profile_url:n[u]?n[u].querySelector('[data-scribe="element:user_link"]').href:null,profile_image:n[u]?n[u].querySelector('[data-scribe="element:avatar"]').getAttribute("data-src-1x"):null,profile_image_2x:n[u]?n[u].querySelector('[data-scribe="element:avatar"]').getAttribute("data-src-2x"):null,screen_name:n[u]?n[u].querySelector('[data-scribe="element:screen_name"]').title:null,name:n[u]?n[u].querySelector('[data-scribe="element:name"]').title:null},time:s[u].textContent,timestamp:s[u].getAttribute("datetime").replace("+0000","Z").replace(/([\+\-])(\d\d)(\d\d)/,"$1$2:$3"),image:F(l[u]),rt:r[u],tid:o[u],permalinkURL:void 0===c[u]?"":c[u].href}),u++;else for(;u<d;){if("string"!=typeof N){var h=s[u].getAttribute("datetime"),g=new Date(s[u].getAttribute("datetime").replace(/-/g,"/").replace("T"," ").split("+")[0]),w=N(g,h);if(s[u].setAttribute("aria-label",w),a[u].textContent)if(A)s[u].textContent=w;else{var f=document.createElement("p"),v=document.createTextNode(w);f.appendChild(v),f.setAttribute("aria-label",w),s[u]=f}else s[u].textContent=w}var b="";T?(H&&(S(a[u]),E&&S(n[u])),E&&(b+='<div class="user">'+P(n[u].innerHTML)+"</div>"),b+='<p class="tweet">'+P(a[u].innerHTML)+"</p>",x&&(b+=j?'<p class="timePosted"><a href="'+c[u]+'">'+s[u].getAttribute("aria-label")+"</a></p>":'<p class="timePosted">'+s[u].getAttribute("aria-label")+"</p>")):(a[u].textContent,E&&(b+='<p class="user">'+n[u].textContent+"</p>"),b+='<p class="tweet">'+a[u].textContent+"</p>",x&&(b+='<p class="timePosted">'+s[u].textContent+"</p>")),L&&(b+='<p class="interact"><a href="https://twitter.com/intent/tweet?in_reply_to='+o[u]+'" class="twitter_reply_icon"'+(H?' target="_blank">':">")+'Reply</a><a href="https://twitter.com/intent/retweet?tweet_id='+o[u]+'" class="twitter_retweet_icon"'+(H?' target="_blank">':">")+'Retweet</a><a href="https://twitter.com/intent/favorite?tweet_id='+o[u]+'" class="twitter_fav_icon"'+(H?' target="_blank">':">")+"Favorite</a></p>"),M&&void 0!==l[u]&&void 0!==F(l[u])&&(b+='<div class="media"><img src="'+F(l[u])+'" alt="Image from tweet" /></div>'),M?p.push(b):!M&&a[u].textContent.length&&p.push(b),u++}!function(e){if(null===B){for(var t=e.length,i=0,a=document.getElementById(_),n="<ul>";i<t;)n+="<li>"+e[i]+"</li>",i++;n+="</ul>",a.innerHTML=n}else B(e)}(p),C=!1,0<k.length&&(O.fetch(k[0]),k.splice(0,1))}};return window.__twttrf=O,window.twitterFetcher=O});
+;
+
+Twitter = (function() {
+  function Twitter($el) {
+    this.$tweetContainer = null;
+    this.init($el);
+  }
+
+  Twitter.prototype.init = function($el) {
+    var retweets, username;
+    this.$tweetContainer = $el.find('[data-twitter-tweets]');
+    username = $el.find('[data-twitter-username]').attr('data-twitter-username');
+    retweets = $el.find('[data-show-retweets]').length;
+    return this._fetchTweets(username, retweets);
   };
 
-  PasswordView.prototype.togglePasswordForm = function() {
-    this.passwordWrapper.add(this.subscribeWrapper).toggleClass("visible");
-    if (this.passwordWrapper.hasClass("visible")) {
-      return this.toggle.text(this.toggle.data("cancel"));
-    } else {
-      return this.toggle.text(this.toggle.data("enter-password"));
-    }
+  Twitter.prototype._fetchTweets = function(username, retweets) {
+    var config;
+    config = {
+      'profile': {
+        'screenName': username
+      },
+      'maxTweets': 1,
+      'enableLinks': true,
+      'showUser': true,
+      'showTime': true,
+      'useEmoji': true,
+      'showRetweet': retweets,
+      'customCallback': (function(_this) {
+        return function(tweets) {
+          return _this.renderTweets(tweets);
+        };
+      })(this),
+      'showInteraction': false
+    };
+    return twitterFetcher.fetch(config);
   };
 
-  PasswordView.prototype.setContentHeight = function() {
-    var contentHeight, footer, footerHeight, headerHeight, windowHeight;
-    footer = this.$(".footer-wrapper");
-    windowHeight = $(window).height();
-    headerHeight = this.$(".main-header-wrapper").outerHeight(true);
-    footerHeight = footer.outerHeight(true);
-    contentHeight = this.$(".main-content").outerHeight(true);
-    if (windowHeight > headerHeight + contentHeight + footerHeight) {
-      return footer.css({
-        "position": "fixed"
-      });
+  Twitter.prototype.renderTweets = function(tweets) {
+    this.$tweetContainer.html();
+    if (tweets.length) {
+      return this.$tweetContainer.html($(tweets[0]));
     } else {
-      return footer.css({
-        "position": "relative"
-      });
+      return console.log("No tweets to display. Most probable cause is an incorrectly entered username.");
     }
   };
 
-  return PasswordView;
+  return Twitter;
 
-})(Backbone.View);
+})();
 
-window.RTEView = (function(superClass) {
-  extend(RTEView, superClass);
+window.WidgetsView = (function(superClass) {
+  extend(WidgetsView, superClass);
 
-  function RTEView() {
-    return RTEView.__super__.constructor.apply(this, arguments);
+  function WidgetsView() {
+    return WidgetsView.__super__.constructor.apply(this, arguments);
   }
 
-  RTEView.prototype.events = {
-    'change .select-wrapper select': 'updateOption'
-  };
-
-  RTEView.prototype.initialize = function() {
-    var j, len, select, selects;
-    this.setupTabs();
-    selects = this.$el.find('select');
-    for (j = 0, len = selects.length; j < len; j++) {
-      select = selects[j];
-      if (!$(select).parent('.select-wrapper').length) {
-        $(select).wrap('<div class="select-wrapper" />').parent().prepend('<span class="selected-text"></span>');
-      }
-      this.updateOption(null, select);
+  WidgetsView.prototype.initialize = function() {
+    var $instagram, $twitter;
+    $instagram = this.$el.find('[data-widget="instagram"]');
+    $twitter = this.$el.find('[data-widget="twitter"]');
+    this.instagram = null;
+    if ($instagram.length) {
+      this.instagram = new Instagram($instagram);
+    }
+    this.twitter = null;
+    if ($twitter.length) {
+      return this.twitter = new Twitter($twitter);
     }
-    this.$el.fitVids();
-    this.mobilifyTables();
-    return $(window).resize((function(_this) {
-      return function() {
-        return _this.mobilifyTables();
-      };
-    })(this));
-  };
-
-  RTEView.prototype.setupTabs = function() {
-    var groupedContent;
-    return groupedContent = new GroupedContent(this.$el.get(0), {
-      layout: 'tabs',
-      intelliparse: false
-    });
   };
 
-  RTEView.prototype.updateOption = function(e, selector) {
-    var newOption, select;
-    select = e ? $(e.target) : $(selector);
-    newOption = select.find('option:selected').text();
-    return select.siblings('.selected-text').text(newOption);
+  WidgetsView.prototype.update = function($el) {
+    var ref;
+    this.instagram.init($el);
+    return (ref = this.twitter) != null ? ref.init($el) : void 0;
   };
 
-  RTEView.prototype.mobilifyTables = function() {
-    return this.$el.find('table').mobileTable();
+  WidgetsView.prototype.remove = function() {
+    delete (this.twitter != null);
+    if (this.instagram) {
+      this.instagram.unload();
+      return delete this.instagram;
+    }
   };
 
-  return RTEView;
+  return WidgetsView;
 
 })(Backbone.View);
 
-window.SelectView = (function(superClass) {
-  extend(SelectView, superClass);
+window.ZoomView = (function(superClass) {
+  extend(ZoomView, superClass);
 
-  function SelectView() {
-    return SelectView.__super__.constructor.apply(this, arguments);
+  function ZoomView() {
+    return ZoomView.__super__.constructor.apply(this, arguments);
   }
 
-  SelectView.prototype.events = {
-    "change": "updateSelectText",
-    "blur": "blurSelect",
-    "focus": "focusSelect"
+  ZoomView.prototype.events = {
+    'prepare-zoom': 'prepareZoom',
+    'click': 'toggleZoom',
+    'mouseenter': 'hoverZoom',
+    'mouseover .product-image-zoom': 'prepareZoom',
+    'mouseout .product-image-zoom': 'toggleZoom',
+    'mousemove .product-image-zoom': 'zoomImage'
   };
 
-  SelectView.prototype.initialize = function() {
-    if (!(this.$el.parent(".select-wrapper").length || this.$el.hasClass("product-select"))) {
-      this.$el.wrap("<div class='select-wrapper' />").parent().prepend("<span class='selected-text'></span>");
-    }
-    return this.updateSelectText();
-  };
+  /*
+      Clicking the image toggles the zoom. With the hover option the zoom
+      follows the pointer instead, leaving clicks free to open the lightbox.
+   */
 
-  SelectView.prototype.blurSelect = function() {
-    return this.$el.parent(".select-wrapper").toggleClass("active", false);
+  ZoomView.prototype.initialize = function(options) {
+    this.hover = (options != null ? options.hover : void 0) || false;
+    this.zoomArea = this.$('.product-image-zoom');
+    this.$newImage = null;
+    return this.$el.imagesLoaded((function(_this) {
+      return function() {
+        return _this.prepareZoom();
+      };
+    })(this));
   };
 
-  SelectView.prototype.focusSelect = function() {
-    return this.$el.parent(".select-wrapper").toggleClass("active", true);
+  ZoomView.prototype.prepareZoom = function() {
+    var highResSrc, newImage;
+    highResSrc = this.$el.find('img').attr('data-high-res');
+    newImage = new Image();
+    this.$newImage = $(newImage);
+    this.$newImage.on('load', (function(_this) {
+      return function() {
+        var imageHeight, imageWidth, photoAreaHeight, photoAreaWidth, ratio, ratios;
+        imageWidth = newImage.width;
+        imageHeight = newImage.height;
+        photoAreaWidth = _this.$el.width();
+        photoAreaHeight = _this.$el.height();
+        ratios = [];
+        ratios.push(imageWidth / photoAreaWidth);
+        ratios.push(imageHeight / photoAreaHeight);
+        ratio = Math.max.apply(null, ratios);
+        if (ratio >= 1 && imageWidth > photoAreaWidth && imageHeight > photoAreaHeight) {
+          _this.$el.addClass('zoom-enabled');
+          return _this.zoomArea.css({
+            backgroundImage: "url('" + highResSrc + "')"
+          });
+        } else {
+          _this.$el.removeClass('zoom-enabled');
+        }
+      };
+    })(this));
+    return newImage.src = highResSrc;
   };
 
-  SelectView.prototype.updateSelectText = function() {
-    var newOption;
-    newOption = this.$el.find("option:selected").text();
-    return this.$el.siblings(".selected-text").text(newOption);
+  ZoomView.prototype.hoverZoom = function(e) {
+    if (!this.hover || !this.$el.hasClass('zoom-enabled') || this.$el.hasClass('showing-media')) {
+      return;
+    }
+    this.zoomArea.addClass('active');
+    return this.zoomImage(e);
   };
 
-  return SelectView;
-
-})(Backbone.View);
-
-
-
-/*!
- * pxs-announcement-bar v0.0.0
- * (c) 2018 Pixel Union
- */
-
-(function (global, factory) {
-	typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory() :
-	typeof define === 'function' && define.amd ? define(factory) :
-	(global.PxsAnnouncementBar = factory());
-}(this, (function () { 'use strict';
-
-/**
- * Trigger a custom event.
- *
- * Note: this approach is deprecated, but still required to support older
- * browsers such as IE 10.
- *
- * @see https://developer.mozilla.org/en-US/docs/Web/Guide/Events/Creating_and_triggering_events
- * @param {*} el The element to trigger the event on.
- * @param {*} name The event name.
- * @returns {Boolean} True if the event was canceled.
- */
-function trigger(el, name) {
-  var event = document.createEvent('Event');
-  event.initEvent(name, true, true);
-  return !el.dispatchEvent(event);
-}
+  ZoomView.prototype.reset = function() {
+    this.zoomArea.removeClass('active');
+    return this.zoomArea.css({
+      backgroundPosition: '50% 50%'
+    });
+  };
 
-var classCallCheck = function (instance, Constructor) {
-  if (!(instance instanceof Constructor)) {
-    throw new TypeError("Cannot call a class as a function");
-  }
-};
+  ZoomView.prototype.toggleZoom = function(e) {
+    if (!this.$el.hasClass('zoom-enabled') || this.$el.hasClass('showing-media')) {
+      return;
+    }
+    if (this.hover && e.type === 'click') {
+      return;
+    }
+    if (e.type === 'mouseout') {
+      this.zoomArea.removeClass('active');
+      this.zoomArea.css({
+        backgroundPosition: '50% 50%'
+      });
+      return;
+    }
+    if (this.zoomArea.hasClass('active')) {
+      this.zoomArea.removeClass('active');
+    } else {
+      this.zoomArea.addClass('active');
+    }
+    return this.zoomImage(e);
+  };
 
-var createClass = function () {
-  function defineProperties(target, props) {
-    for (var i = 0; i < props.length; i++) {
-      var descriptor = props[i];
-      descriptor.enumerable = descriptor.enumerable || false;
-      descriptor.configurable = true;
-      if ("value" in descriptor) descriptor.writable = true;
-      Object.defineProperty(target, descriptor.key, descriptor);
+  ZoomView.prototype.zoomImage = function(e) {
+    var bigImageOffset, bigImageX, bigImageY, mousePositionX, mousePositionY, ratioX, ratioY, zoomHeight, zoomWidth;
+    zoomWidth = this.zoomArea.width();
+    zoomHeight = this.zoomArea.height();
+    bigImageOffset = this.$el.offset();
+    bigImageX = Math.round(bigImageOffset.left);
+    bigImageY = Math.round(bigImageOffset.top);
+    mousePositionX = e.pageX - bigImageX;
+    mousePositionY = e.pageY - bigImageY;
+    if (mousePositionX < zoomWidth && mousePositionY < zoomHeight && mousePositionX > 0 && mousePositionY > 0) {
+      if (this.zoomArea.hasClass('active')) {
+        ratioY = (e.pageY - bigImageY) / zoomHeight * 100;
+        ratioX = (e.pageX - bigImageX) / zoomWidth * 100;
+        return this.zoomArea.css({
+          backgroundPosition: ratioX + "% " + ratioY + "%"
+        });
+      }
     }
-  }
+  };
 
-  return function (Constructor, protoProps, staticProps) {
-    if (protoProps) defineProperties(Constructor.prototype, protoProps);
-    if (staticProps) defineProperties(Constructor, staticProps);
-    return Constructor;
+  ZoomView.prototype.prepareRemove = function() {
+    var ref;
+    return (ref = this.$newImage) != null ? ref.off('load') : void 0;
   };
-}();
 
-var PxsAnnouncementBar = function () {
-  function PxsAnnouncementBar(section) {
-    classCallCheck(this, PxsAnnouncementBar);
+  return ZoomView;
 
-    this.el = section.el;
-    this.scrolledPast = false;
+})(Backbone.View);
 
-    this._onScroll = this._onScroll.bind(this);
-    this._bindEvents();
-  }
+window.ProductMedia = (function() {
 
-  createClass(PxsAnnouncementBar, [{
-    key: 'onSectionUnload',
-    value: function onSectionUnload() {
-      window.removeEventListener('scroll', this._onScroll);
-    }
-  }, {
-    key: '_bindEvents',
-    value: function _bindEvents() {
-      window.addEventListener('scroll', this._onScroll);
-    }
-  }, {
-    key: '_onScroll',
-    value: function _onScroll() {
-      var _window = window,
-          pageYOffset = _window.pageYOffset;
+  /*
+      Videos and 3D models in the product gallery. Players are created the
+      first time their media is shown, and whatever is playing is paused
+      when the gallery moves on.
+  
+      @param $el
+          {jQuery} Element containing the [data-product-media] items
+   */
+  function ProductMedia($el) {
+    this.$el = $el;
+    this.$media = this.$el.find('[data-product-media]');
+    this.players = {};
+  }
 
-      var _el$getBoundingClient = this.el.getBoundingClientRect(),
-          height = _el$getBoundingClient.height;
+  ProductMedia.modelViewerStyles = 'https://cdn.shopify.com/shopifycloud/model-viewer-ui/assets/v1.0/model-viewer-ui.css';
 
-      var scrolledPast = pageYOffset > height;
+  ProductMedia.modelViewerLoader = null;
 
-      // Trigger a hide event when viewport has scrolled past
-      if (!this.scrolledPast && scrolledPast) {
-        this.scrolledPast = true;
-        trigger(this.el, 'pxs-ab-hide');
-      }
+  /*
+      Load Shopify's model viewer UI once for the page.
+   */
 
-      // Trigger a show announcement bar is back in view
-      if (this.scrolledPast && !scrolledPast) {
-        this.scrolledPast = false;
-        trigger(this.el, 'pxs-ab-show');
+  ProductMedia.loadModelViewer = function() {
+    var deferred, ref;
+    if (ProductMedia.modelViewerLoader != null) {
+      return ProductMedia.modelViewerLoader;
+    }
+    deferred = $.Deferred();
+    ProductMedia.modelViewerLoader = deferred.promise();
+    if (((ref = window.Shopify) != null ? ref.loadFeatures : void 0) == null) {
+      deferred.reject();
+      return ProductMedia.modelViewerLoader;
+    }
+    $('<link rel="stylesheet" />').attr('href', ProductMedia.modelViewerStyles).appendTo('head');
+    Shopify.loadFeatures([
+      {
+        name: 'model-viewer-ui',
+        version: '1.0',
+        onLoad: function(errors) {
+          if (errors) {
+            return deferred.reject(errors);
+          }
+          return deferred.resolve();
+        }
       }
-    }
-  }]);
-  return PxsAnnouncementBar;
-}();
-
-return PxsAnnouncementBar;
+    ]);
+    return ProductMedia.modelViewerLoader;
+  };
 
-})));
+  /*
+      Show a video or model in place of the main image.
+  
+      @param id
+          {Number|String} Media id, or null to hide all media and go back to
+          the image
+   */
 
-;
+  ProductMedia.prototype.show = function(id) {
+    var $media;
+    this.pause();
+    $media = id != null ? this.$media.filter("[data-product-media='" + id + "']") : $();
+    this.$media.not($media).addClass('hidden');
+    $media.removeClass('hidden');
+    this.$el.toggleClass('showing-media', $media.length > 0);
+    if ($media.length) {
+      return this._setup($media);
+    }
+  };
 
-window.AnnouncementBar = (function() {
-  function AnnouncementBar(instance) {
-    this.$document = $(document.body);
-    this.el = instance.el;
-    this.announcementBar = new PxsAnnouncementBar(instance);
-    this._checkAnnouncementBar();
-  }
+  ProductMedia.prototype.pause = function() {
+    var $media, player, ref;
+    $media = this.$media.not('.hidden');
+    if (!$media.length) {
+      return;
+    }
+    player = this.players[$media.attr('data-product-media')];
+    switch ($media.attr('data-media-type')) {
+      case 'video':
+        return (ref = $media.find('video')[0]) != null ? ref.pause() : void 0;
+      case 'external_video':
+        if ((player != null ? player.video : void 0) != null && player.video.isReady) {
+          return player.video.pause();
+        }
+        break;
+      case 'model':
+        return player != null ? player.pause() : void 0;
+    }
+  };
 
-  AnnouncementBar.prototype.onSectionUnload = function() {
-    this.announcementBar.onSectionUnload();
-    return this._checkAnnouncementBar();
+  ProductMedia.prototype.prepareRemove = function() {
+    var id, player, ref;
+    this.pause();
+    ref = this.players;
+    for (id in ref) {
+      if (!hasProp.call(ref, id)) continue;
+      player = ref[id];
+      if (player instanceof PxsVideo.Video) {
+        player.unload();
+      }
+    }
+    return this.players = {};
   };
 
-  AnnouncementBar.prototype._checkAnnouncementBar = function() {
-    this.announcementBarEl = this.el.querySelector('.pxs-announcement-bar');
-    return this.$document.trigger('checkAnnouncementBar', {
-      el: this.announcementBarEl
-    });
+  ProductMedia.prototype._setup = function($media) {
+    var id;
+    id = $media.attr('data-product-media');
+    if (this.players[id] != null) {
+      return;
+    }
+    switch ($media.attr('data-media-type')) {
+      case 'external_video':
+        return this.players[id] = new PxsVideo.Video($media.find('[data-video-container]')[0], {
+          startMuted: false
+        });
+      case 'model':
+        return ProductMedia.loadModelViewer().done((function(_this) {
+          return function() {
+            if (_this.players[id] == null) {
+              return _this.players[id] = new Shopify.ModelViewerUI($media.find('model-viewer')[0]);
+            }
+          };
+        })(this));
+    }
   };
 
-  return AnnouncementBar;
+  return ProductMedia;
 
 })();
 
-window.CurrencyView = (function(superClass) {
-  extend(CurrencyView, superClass);
+window.ProductLightbox = (function() {
 
-  function CurrencyView() {
-    return CurrencyView.__super__.constructor.apply(this, arguments);
+  /*
+      Full-screen product image gallery. Swipe or use the arrow keys to move
+      between images; pinch, double-tap or click an image to zoom in.
+  
+      Only the current image and its neighbours are loaded.
+  
+      @param $el
+          {jQuery} The [data-product-lightbox] element
+  
+      @param options
+          {Object} onChange: called with the index of the image shown
+   */
+  function ProductLightbox($el, options) {
+    this.$el = $el;
+    this.options = options != null ? options : {};
+    this.$viewport = this.$el.find('[data-product-lightbox-viewport]');
+    this.$track = this.$el.find('[data-product-lightbox-track]');
+    this.$counter = this.$el.find('[data-product-lightbox-counter]');
+    this.$navigation = this.$el.find('[data-product-lightbox-previous], [data-product-lightbox-next]');
+    this.strings = JSON.parse(this.$el.find('[data-product-lightbox-strings]').text());
+    this.images = [];
+    this.index = 0;
+    this.zoom = {
+      scale: 1,
+      x: 0,
+      y: 0
+    };
+    this.touch = null;
+    this.lastTap = 0;
+    this.dialog = new Dialog(this.$el, {
+      onClose: (function(_this) {
+        return function() {
+          return _this._onClose();
+        };
+      })(this)
+    });
+    this.$el.on('click.productLightbox', '[data-product-lightbox-close]', (function(_this) {
+      return function() {
+        return _this.close();
+      };
+    })(this)).on('click.productLightbox', '[data-product-lightbox-previous]', (function(_this) {
+      return function() {
+        return _this.go(_this.index - 1);
+      };
+    })(this)).on('click.productLightbox', '[data-product-lightbox-next]', (function(_this) {
+      return function() {
+        return _this.go(_this.index + 1);
+      };
+    })(this)).on('click.productLightbox', '.product-lightbox-image', (function(_this) {
+      return function(event) {
+        return _this._toggleZoom(event.clientX, event.clientY);
+      };
+    })(this)).on('mousemove.productLightbox', '.product-lightbox-image', (function(_this) {
+      return function(event) {
+        return _this._pan(event.clientX, event.clientY);
+      };
+    })(this));
+    this.$viewport.on('touchstart.productLightbox', (function(_this) {
+      return function(event) {
+        return _this._touchStart(event);
+      };
+    })(this)).on('touchmove.productLightbox', (function(_this) {
+      return function(event) {
+        return _this._touchMove(event);
+      };
+    })(this)).on('touchend.productLightbox touchcancel.productLightbox', (function(_this) {
+      return function(event) {
+        return _this._touchEnd(event);
+      };
+    })(this));
   }
 
-  CurrencyView.prototype.events = {
-    'change [data-currency-converter]': 'convertAll'
-  };
-
-  CurrencyView.prototype.convertAll = function(event) {
-    CurrencyConverter.setCurrency(event.currentTarget.value);
-    return $('.selected-currency', this.$el).text(event.currentTarget.value);
-  };
-
-  return CurrencyView;
+  ProductLightbox.maxScale = 3;
 
-})(Backbone.View);
+  ProductLightbox.doubleTapScale = 2;
 
-window.GoalView = (function(superClass) {
-  extend(GoalView, superClass);
+  ProductLightbox.doubleTapDelay = 300;
 
-  function GoalView() {
-    return GoalView.__super__.constructor.apply(this, arguments);
-  }
+  ProductLightbox.swipeThreshold = 50;
 
-  GoalView.prototype.initialize = function() {
-    this.$document = $(document.body);
-    this.$selector = $('[data-goal-countdown]');
-    this.endDateTime = this.$selector.data('end-time');
-    if (this.$selector.length && this.getRemainingTime().total >= 0) {
-      return this.countDownTimer();
-    } else {
-      return $(document.body).addClass('has-goal-expired');
-    }
-  };
+  /*
+      @param images
+          {Array} Objects with the src and alt of each image
+  
+      @param index
+          {Number} Position of the image to show first
+   */
 
-  GoalView.prototype.getRemainingTime = function() {
-    var _day, _hour, _minute, _second, days, hours, minutes, seconds, t;
-    _second = 1000;
-    _minute = _second * 60;
-    _hour = _minute * 60;
-    _day = _hour * 24;
-    t = Date.parse(this.endDateTime) - Date.parse(new Date());
-    seconds = Math.floor((t / _second) % 60);
-    minutes = Math.floor((t / _minute) % 60);
-    hours = Math.floor((t / _hour) % 24);
-    days = Math.floor(t / _day);
-    return {
-      'total': t,
-      'days': days,
-      'hours': hours,
-      'minutes': minutes,
-      'seconds': seconds
-    };
+  ProductLightbox.prototype.open = function(images, index) {
+    this.images = images;
+    this.$track.empty().append(images.map(function(image) {
+      return $('<li class="product-lightbox-slide" />').append($('<img class="product-lightbox-image" />').attr({
+        alt: image.alt,
+        'data-src': image.src
+      }));
+    }));
+    this.$navigation.toggle(images.length > 1);
+    this.dialog.open();
+    this.go(index);
+    return $(document).on('keydown.productLightbox', (function(_this) {
+      return function(event) {
+        if (Dialog.top() !== _this.dialog) {
+          return;
+        }
+        if (event.keyCode === 37) {
+          return _this.go(_this.index - 1);
+        } else if (event.keyCode === 39) {
+          return _this.go(_this.index + 1);
+        }
+      };
+    })(this));
   };
 
-  GoalView.prototype.countDownTimer = function() {
-    this.$countdownDays = this.$selector.find("[data-goal-countdown-days]");
-    this.$countdownHours = this.$selector.find("[data-goal-countdown-hours]");
-    this.$countdownMinutes = this.$selector.find("[data-goal-countdown-minutes]");
-    this.$countdownSeconds = this.$selector.find("[data-goal-countdown-seconds]");
-    this.lastDayText = this.$selector.data("alt-text");
-    this.$productViewDays = $(".product-goal-info-days");
-    this.$productViewDaysWrapper = $(".product-goal-info-remaining");
-    this.runTimer();
-    this.timer = setInterval((function(_this) {
-      return function() {
-        return _this.runTimer();
-      };
-    })(this), 1000);
-    return setTimeout((function(_this) {
-      return function() {
-        _this.$el.addClass('active');
-        return _this.$document.trigger('checkHeaderOffsets');
-      };
-    })(this), 100);
+  ProductLightbox.prototype.close = function() {
+    return this.dialog.close();
   };
 
-  GoalView.prototype.runTimer = function() {
-    var timeRemaining;
-    timeRemaining = this.getRemainingTime();
-    if (timeRemaining.total <= 0) {
-      this.$(".module-header-goal-time-up").removeClass("hidden");
-      this.$selector.addClass("hidden");
-      clearInterval(this.timer);
+  ProductLightbox.prototype.go = function(index) {
+    var base, count;
+    count = this.images.length;
+    if (!count) {
       return;
-    } else {
-      this.$countdownDays.html(timeRemaining.days);
-      this.$countdownHours.html(timeRemaining.hours);
-      this.$countdownMinutes.html(timeRemaining.minutes);
-      this.$countdownSeconds.html(timeRemaining.seconds);
-    }
-    if (this.$productViewDays.length) {
-      if (timeRemaining.total > 0 && timeRemaining.days === 0) {
-        return this.$productViewDaysWrapper.html(this.lastDayText);
-      } else {
-        return this.$productViewDays.html(timeRemaining.days);
-      }
     }
+    this.index = (index + count) % count;
+    this._setZoom(1, 0, 0);
+    this._setOffset(0);
+    this._load(this.index);
+    this._load((this.index + 1) % count);
+    this._load((this.index - 1 + count) % count);
+    this.$counter.text(this.strings.counter.replace('** index **', this.index + 1).replace('** count **', count));
+    return typeof (base = this.options).onChange === "function" ? base.onChange(this.index) : void 0;
   };
 
-  return GoalView;
+  ProductLightbox.prototype.prepareRemove = function() {
+    this.$el.off('.productLightbox');
+    this.$viewport.off('.productLightbox');
+    return this.dialog.prepareRemove();
+  };
 
-})(Backbone.View);
+  ProductLightbox.prototype._onClose = function() {
+    $(document).off('keydown.productLightbox');
+    this.touch = null;
+    this.images = [];
+    return this.$track.empty();
+  };
 
-window.Instagram = (function() {
-  function Instagram($el) {
-    this.$photoContainer = null;
-    this.$errorContainer = null;
-    this.rimg = null;
-    this.photos = [];
-    this._renderPhotos = this._renderPhotos.bind(this);
-    if (!$el.length) {
-      return;
+  ProductLightbox.prototype._load = function(index) {
+    var $image;
+    $image = this.$track.children().eq(index).find('img');
+    if (!$image.attr('src')) {
+      return $image.attr('src', $image.attr('data-src'));
     }
-    this.init($el);
-  }
+  };
 
-  Instagram.prototype.init = function($el) {
-    this.$photoContainer = $el.find('[data-instagram-photos]');
-    this.accessToken = $el.find('[data-instagram-token]').attr('data-instagram-token');
-    this.accessTokenError = $el.find('[data-instagram-error]').attr('data-instagram-error');
-    rimg.shopify.instance.track(this.$photoContainer[0]);
-    if (this.accessToken.length > 0) {
-      this._getPhotos();
-      return this.$photoContainer.on('rimg:enter', (function(_this) {
-        return function() {
-          return _this._renderPhotos();
-        };
-      })(this));
-    } else {
-      return this._hasError(false);
-    }
+  ProductLightbox.prototype._current = function() {
+    return this.$track.children().eq(this.index).find('img');
   };
 
-  Instagram.prototype.unload = function() {
-    return rimg.shopify.instance.track(this.$photoContainer[0]);
+  ProductLightbox.prototype._setOffset = function(offset) {
+    return this.$track.css('transform', "translateX(" + (this.index * -100) + "%) translateX(" + offset + "px)");
   };
 
-  Instagram.prototype._getPhotos = function(callback) {
-    var url;
-    if (callback == null) {
-      callback = null;
+  /*
+      Scale the current image and move it by x, y pixels from the centre,
+      keeping its edges from coming inside the viewport.
+   */
+
+  ProductLightbox.prototype._setZoom = function(scale, x, y) {
+    var $image, maxX, maxY;
+    $image = this._current();
+    scale = Math.min(Math.max(scale, 1), ProductLightbox.maxScale);
+    maxX = Math.max($image.prop('offsetWidth') * (scale - 1) / 2, 0);
+    maxY = Math.max($image.prop('offsetHeight') * (scale - 1) / 2, 0);
+    this.zoom = {
+      scale: scale,
+      x: Math.min(Math.max(x, -maxX), maxX),
+      y: Math.min(Math.max(y, -maxY), maxY)
+    };
+    this.$el.toggleClass('zoomed', scale > 1);
+    return $image.css('transform', "translate(" + this.zoom.x + "px, " + this.zoom.y + "px) scale(" + scale + ")");
+  };
+
+  ProductLightbox.prototype._toggleZoom = function(clientX, clientY) {
+    var center, scale;
+    if (this.zoom.scale > 1) {
+      return this._setZoom(1, 0, 0);
     }
-    url = "https://api.instagram.com/v1/users/self/media/recent?access_token=" + this.accessToken + "&count=6&callback=";
-    return $.ajax({
-      type: "GET",
-      dataType: "jsonp",
-      url: url,
-      success: (function(_this) {
-        return function(response) {
-          if (response.meta.code === 200) {
-            _this.$photoContainer.html('');
-            _this.photos = response.data;
-            return typeof callback === "function" ? callback() : void 0;
-          } else {
-            _this._hasError(response);
-            return _this._errorOverlay();
-          }
-        };
-      })(this),
-      error: (function(_this) {
-        return function(response) {
-          return _this._hasError(response);
-        };
-      })(this)
-    });
+    scale = ProductLightbox.doubleTapScale;
+    center = this._center();
+    return this._setZoom(scale, (center.x - clientX) * (scale - 1), (center.y - clientY) * (scale - 1));
   };
 
-  Instagram.prototype._renderPhotos = function() {
-    var image, j, len, photo, ref, results1, scale;
-    if (!this.photos.length) {
-      return this._getPhotos(this._renderPhotos);
+  ProductLightbox.prototype._pan = function(clientX, clientY) {
+    var center;
+    if (this.zoom.scale === 1 || (this.touch != null)) {
+      return;
     }
-    ref = this.photos;
-    results1 = [];
-    for (j = 0, len = ref.length; j < len; j++) {
-      photo = ref[j];
-      image = photo.images.standard_resolution;
-      scale = image.width > image.height ? 'y' : 'x';
-      results1.push(this.$photoContainer.append("<div class=\"instagram-photo\">\n    <a\n        class=\"instagram-link\"\n        target=\"_blank\"\n        href=\"" + photo.link + "\"\n    >\n        <img\n            class=\"\n                instagram-image\n                instagram-image-scale-" + scale + "\n            \"\n            src=\"" + image.url + "\"\n        />\n    </a>\n</div>"));
+    center = this._center();
+    return this._setZoom(this.zoom.scale, (center.x - clientX) * (this.zoom.scale - 1), (center.y - clientY) * (this.zoom.scale - 1));
+  };
+
+  ProductLightbox.prototype._center = function() {
+    var rect;
+    rect = this.$viewport[0].getBoundingClientRect();
+    return {
+      x: rect.left + rect.width / 2,
+      y: rect.top + rect.height / 2
+    };
+  };
+
+  ProductLightbox.prototype._distance = function(touches) {
+    return Math.sqrt(Math.pow(touches[0].clientX - touches[1].clientX, 2) + Math.pow(touches[0].clientY - touches[1].clientY, 2));
+  };
+
+  ProductLightbox.prototype._touchStart = function(event) {
+    var touch, touches;
+    touches = event.originalEvent.touches;
+    if (touches.length === 2) {
+      this.touch = {
+        pinch: true,
+        distance: this._distance(touches),
+        scale: this.zoom.scale
+      };
+    } else if (touches.length === 1) {
+      touch = touches[0];
+      this.touch = {
+        pinch: false,
+        startX: touch.clientX,
+        startY: touch.clientY,
+        deltaX: 0,
+        deltaY: 0,
+        zoomX: this.zoom.x,
+        zoomY: this.zoom.y
+      };
     }
-    return results1;
+    return this.$track.addClass('dragging');
   };
 
-  Instagram.prototype._errorOverlay = function() {
-    if (this.$photoContainer.find('[data-instagram-errror]').length) {
+  ProductLightbox.prototype._touchMove = function(event) {
+    var touches;
+    if (this.touch == null) {
       return;
     }
-    this.$photoContainer.append("<div class=\"instagram-error\" data-instagram-error>" + this.accessTokenError + "</div>");
-    return this.$errorContainer = this.$photoContainer.find('[data-instagram-errror]');
+    event.preventDefault();
+    touches = event.originalEvent.touches;
+    if (this.touch.pinch) {
+      if (touches.length === 2) {
+        return this._setZoom(this.touch.scale * this._distance(touches) / this.touch.distance, this.zoom.x, this.zoom.y);
+      }
+      return;
+    }
+    this.touch.deltaX = touches[0].clientX - this.touch.startX;
+    this.touch.deltaY = touches[0].clientY - this.touch.startY;
+    if (this.zoom.scale > 1) {
+      return this._setZoom(this.zoom.scale, this.touch.zoomX + this.touch.deltaX, this.touch.zoomY + this.touch.deltaY);
+    } else {
+      return this._setOffset(this.touch.deltaX);
+    }
   };
 
-  Instagram.prototype._hasError = function(response) {
-    if (response) {
-      return console.log("Instagram error: " + response.meta.error_message);
+  /*
+      A swipe past the threshold changes image, a short one springs back.
+      Two taps in quick succession toggle zoom at the tapped point.
+   */
+
+  ProductLightbox.prototype._touchEnd = function(event) {
+    var now, touch;
+    touch = this.touch;
+    if (touch == null) {
+      return;
+    }
+    event.preventDefault();
+    if (event.originalEvent.touches.length) {
+      return;
+    }
+    this.touch = null;
+    this.$track.removeClass('dragging');
+    if (touch.pinch || this.zoom.scale > 1 && (touch.deltaX || touch.deltaY)) {
+      return;
+    }
+    if (Math.abs(touch.deltaX) > ProductLightbox.swipeThreshold) {
+      return this.go(this.index + (touch.deltaX < 0 ? 1 : -1));
     }
+    this._setOffset(0);
+    if (Math.abs(touch.deltaX) > 10 || Math.abs(touch.deltaY) > 10) {
+      return;
+    }
+    now = Date.now();
+    if (now - this.lastTap < ProductLightbox.doubleTapDelay) {
+      this.lastTap = 0;
+      return this._toggleZoom(touch.startX, touch.startY);
+    }
+    return this.lastTap = now;
   };
 
-  return Instagram;
+  return ProductLightbox;
 
 })();
 
+window.ProductNotify = (function() {
 
-/*********************************************************************
- * @license
-*  #### Twitter Post Fetcher v17.1.0 ####
-*  Coded by Jason Mayes 2015. A present to all the developers out there.
-*  www.jasonmayes.com
-*  Please keep this disclaimer with my code if you use it. Thanks. :-)
-*  Got feedback or questions, ask here:
-*  http://www.jasonmayes.com/projects/twitterApi/
-*  Github: https://github.com/jasonmayes/Twitter-Post-Fetcher
-*  Updates will be posted to this site.
-*********************************************************************/
-!function(e,t){"function"==typeof define&&define.amd?define([],t):"object"==typeof exports?module.exports=t():t()}(0,function(){var _="",y=20,T=!0,k=[],C=!1,x=!0,E=!0,N=null,A=!0,I=!0,B=null,L=!0,M=!1,i=!1,R=!1,H=!0,a="en",j=!0,q=!1,n=null;function P(e){return e.replace(/<b[^>]*>(.*?)<\/b>/gi,function(e,t){return t}).replace(/class="(?!(tco-hidden|tco-display|tco-ellipsis))+.*?"|data-query-source=".*?"|dir=".*?"|rel=".*?"/gi,"")}function S(e){for(var t=e.getElementsByTagName("a"),i=t.length-1;0<=i;i--)t[i].setAttribute("target","_blank")}function U(e,t){for(var i=[],a=new RegExp("(^| )"+t+"( |$)"),n=e.getElementsByTagName("*"),s=0,l=n.length;s<l;s++)a.test(n[s].className)&&i.push(n[s]);return i}function F(e){if(void 0!==e&&0<=e.innerHTML.indexOf("data-image")){var t=e.innerHTML.split('data-image="')[1].split('"')[0];return decodeURIComponent(t)+".jpg"}}var O={fetch:function(e){if(void 0===e.maxTweets&&(e.maxTweets=20),void 0===e.enableLinks&&(e.enableLinks=!0),void 0===e.showUser&&(e.showUser=!0),void 0===e.showTime&&(e.showTime=!0),void 0===e.dateFunction&&(e.dateFunction="default"),void 0===e.showRetweet&&(e.showRetweet=!0),void 0===e.customCallback&&(e.customCallback=null),void 0===e.showInteraction&&(e.showInteraction=!0),void 0===e.showImages&&(e.showImages=!1),void 0===e.showReplies&&(e.showReplies=!1),void 0===e.useEmoji&&(e.useEmoji=!1),void 0===e.linksInNewWindow&&(e.linksInNewWindow=!0),void 0===e.showPermalinks&&(e.showPermalinks=!0),void 0===e.dataOnly&&(e.dataOnly=!1),C)k.push(e);else{C=!0,_=e.domId,y=e.maxTweets,T=e.enableLinks,E=e.showUser,x=e.showTime,I=e.showRetweet,N=e.dateFunction,B=e.customCallback,L=e.showInteraction,M=e.showImages,i=e.showReplies,R=e.useEmoji,H=e.linksInNewWindow,j=e.showPermalinks,q=e.dataOnly;var t=document.getElementsByTagName("head")[0];null!==n&&t.removeChild(n),(n=document.createElement("script")).type="text/javascript",void 0!==e.list?n.src="https://syndication.twitter.com/timeline/list?callback=__twttrf.callback&dnt=false&list_slug="+e.list.listSlug+"&screen_name="+e.list.screenName+"&suppress_response_codes=true&lang="+(e.lang||a)+"&rnd="+Math.random():void 0!==e.profile?n.src="https://syndication.twitter.com/timeline/profile?callback=__twttrf.callback&dnt=false&screen_name="+e.profile.screenName+"&with_replies="+i+"&suppress_response_codes=true&lang="+(e.lang||a)+"&rnd="+Math.random():void 0!==e.likes?n.src="https://syndication.twitter.com/timeline/likes?callback=__twttrf.callback&dnt=false&screen_name="+e.likes.screenName+"&suppress_response_codes=true&lang="+(e.lang||a)+"&rnd="+Math.random():n.src="https://cdn.syndication.twimg.com/widgets/timelines/"+e.id+"?&lang="+(e.lang||a)+"&callback=__twttrf.callback&suppress_response_codes=true&rnd="+Math.random(),t.appendChild(n)}},callback:function(e){if(void 0===e||void 0===e.body)return C=!1,void(0<k.length&&(O.fetch(k[0]),k.splice(0,1)));R||(e.body=e.body.replace(/(<img[^c]*class="Emoji[^>]*>)|(<img[^c]*class="u-block[^>]*>)/g,"")),M||(e.body=e.body.replace(/(<img[^c]*class="NaturalImage-image[^>]*>|(<img[^c]*class="CroppedImage-image[^>]*>))/g,"")),E||(e.body=e.body.replace(/(<img[^c]*class="Avatar"[^>]*>)/g,""));var t=document.createElement("div");function i(e){var t=e.getElementsByTagName("img")[0];return t&&t.length&&(t.src=t.getAttribute("data-src-2x")),e}t.innerHTML=e.body,void 0===t.getElementsByClassName&&(A=!1);var a=[],n=[],s=[],l=[],r=[],o=[],c=[],d=0;if(A)for(var m=t.getElementsByClassName("timeline-Tweet");d<m.length;)0<m[d].getElementsByClassName("timeline-Tweet-retweetCredit").length?r.push(!0):r.push(!1),(!r[d]||r[d]&&I)&&(a.push(m[d].getElementsByClassName("timeline-Tweet-text")[0]),o.push(m[d].getAttribute("data-tweet-id")),E&&n.push(i(m[d].getElementsByClassName("timeline-Tweet-author")[0])),s.push(m[d].getElementsByClassName("dt-updated")[0]),c.push(m[d].getElementsByClassName("timeline-Tweet-timestamp")[0]),void 0!==m[d].getElementsByClassName("timeline-Tweet-media")[0]?l.push(m[d].getElementsByClassName("timeline-Tweet-media")[0]):l.push(void 0)),d++;else for(m=U(t,"timeline-Tweet");d<m.length;)0<U(m[d],"timeline-Tweet-retweetCredit").length?r.push(!0):r.push(!1),(!r[d]||r[d]&&I)&&(a.push(U(m[d],"timeline-Tweet-text")[0]),o.push(m[d].getAttribute("data-tweet-id")),E&&n.push(i(U(m[d],"timeline-Tweet-author")[0])),s.push(U(m[d],"dt-updated")[0]),c.push(U(m[d],"timeline-Tweet-timestamp")[0]),void 0!==U(m[d],"timeline-Tweet-media")[0]?l.push(U(m[d],"timeline-Tweet-media")[0]):l.push(void 0)),d++;a.length>y&&(a.splice(y,a.length-y),n.splice(y,n.length-y),s.splice(y,s.length-y),r.splice(y,r.length-y),l.splice(y,l.length-y),c.splice(y,c.length-y));var p=[],u=(d=a.length,0);if(q)for(;u<d;)p.push({tweet:a[u].innerHTML,author:n[u]?n[u].innerHTML:"Unknown Author",author_data:{profile_url:n[u]?n[u].querySelector('[data-scribe="element:user_link"]').href:null,profile_image:n[u]?n[u].querySelector('[data-scribe="element:avatar"]').getAttribute("data-src-1x"):null,profile_image_2x:n[u]?n[u].querySelector('[data-scribe="element:avatar"]').getAttribute("data-src-2x"):null,screen_name:n[u]?n[u].querySelector('[data-scribe="element:screen_name"]').title:null,name:n[u]?n[u].querySelector('[data-scribe="element:name"]').title:null},time:s[u].textContent,timestamp:s[u].getAttribute("datetime").replace("+0000","Z").replace(/([\+\-])(\d\d)(\d\d)/,"$1$2:$3"),image:F(l[u]),rt:r[u],tid:o[u],permalinkURL:void 0===c[u]?"":c[u].href}),u++;else for(;u<d;){if("string"!=typeof N){var h=s[u].getAttribute("datetime"),g=new Date(s[u].getAttribute("datetime").replace(/-/g,"/").replace("T"," ").split("+")[0]),w=N(g,h);if(s[u].setAttribute("aria-label",w),a[u].textContent)if(A)s[u].textContent=w;else{var f=document.createElement("p"),v=document.createTextNode(w);f.appendChild(v),f.setAttribute("aria-label",w),s[u]=f}else s[u].textContent=w}var b="";T?(H&&(S(a[u]),E&&S(n[u])),E&&(b+='<div class="user">'+P(n[u].innerHTML)+"</div>"),b+='<p class="tweet">'+P(a[u].innerHTML)+"</p>",x&&(b+=j?'<p class="timePosted"><a href="'+c[u]+'">'+s[u].getAttribute("aria-label")+"</a></p>":'<p class="timePosted">'+s[u].getAttribute("aria-label")+"</p>")):(a[u].textContent,E&&(b+='<p class="user">'+n[u].textContent+"</p>"),b+='<p class="tweet">'+a[u].textContent+"</p>",x&&(b+='<p class="timePosted">'+s[u].textContent+"</p>")),L&&(b+='<p class="interact"><a href="https://twitter.com/intent/tweet?in_reply_to='+o[u]+'" class="twitter_reply_icon"'+(H?' target="_blank">':">")+'Reply</a><a href="https://twitter.com/intent/retweet?tweet_id='+o[u]+'" class="twitter_retweet_icon"'+(H?' target="_blank">':">")+'Retweet</a><a href="https://twitter.com/intent/favorite?tweet_id='+o[u]+'" class="twitter_fav_icon"'+(H?' target="_blank">':">")+"Favorite</a></p>"),M&&void 0!==l[u]&&void 0!==F(l[u])&&(b+='<div class="media"><img src="'+F(l[u])+'" alt="Image from tweet" /></div>'),M?p.push(b):!M&&a[u].textContent.length&&p.push(b),u++}!function(e){if(null===B){for(var t=e.length,i=0,a=document.getElementById(_),n="<ul>";i<t;)n+="<li>"+e[i]+"</li>",i++;n+="</ul>",a.innerHTML=n}else B(e)}(p),C=!1,0<k.length&&(O.fetch(k[0]),k.splice(0,1))}};return window.__twttrf=O,window.twitterFetcher=O});
-;
-
-Twitter = (function() {
-  function Twitter($el) {
-    this.$tweetContainer = null;
-    this.init($el);
+  /*
+      Back-in-stock signup for sold-out variants. Takes the place of the add
+      to cart button and posts the visitor's email to the contact form, so
+      the merchant receives the product, variant and SKU they're waiting for.
+  
+      Variants the visitor has signed up for are remembered, so they aren't
+      asked again.
+  
+      @param $el
+          {jQuery} The [data-product-notify] element
+  
+      @param options
+          {Object} $addToCart: the add to cart area to hide, variants: the
+          product's variants
+   */
+  function ProductNotify($el, options) {
+    var variantId;
+    this.$el = $el;
+    this.options = options != null ? options : {};
+    this.$form = this.$el.find('form');
+    this.$fields = this.$el.find('[data-product-notify-fields]');
+    this.$submit = this.$el.find('[data-product-notify-submit]');
+    this.$message = this.$el.find('[data-product-notify-message]');
+    this.$variantId = this.$el.find('[data-product-notify-variant-id]');
+    this.$variantTitle = this.$el.find('[data-product-notify-variant-title]');
+    this.$sku = this.$el.find('[data-product-notify-sku]');
+    this.strings = JSON.parse(this.$el.find('[data-product-notify-strings]').text());
+    this.processing = false;
+    variantId = parseInt(this.$variantId.val(), 10);
+    if (this.$message.is('[data-product-notify-posted]')) {
+      ProductNotify.remember(variantId);
+    }
+    this.$form.on('submit.productNotify', (function(_this) {
+      return function(event) {
+        return _this._submit(event);
+      };
+    })(this));
+    this.update(this.options.variants.filter(function(variant) {
+      return variant.id === variantId;
+    })[0]);
   }
 
-  Twitter.prototype.init = function($el) {
-    var retweets, username;
-    this.$tweetContainer = $el.find('[data-twitter-tweets]');
-    username = $el.find('[data-twitter-username]').attr('data-twitter-username');
-    retweets = $el.find('[data-show-retweets]').length;
-    return this._fetchTweets(username, retweets);
-  };
+  ProductNotify.storageKey = 'backInStock';
 
-  Twitter.prototype._fetchTweets = function(username, retweets) {
-    var config;
-    config = {
-      'profile': {
-        'screenName': username
-      },
-      'maxTweets': 1,
-      'enableLinks': true,
-      'showUser': true,
-      'showTime': true,
-      'useEmoji': true,
-      'showRetweet': retweets,
-      'customCallback': (function(_this) {
-        return function(tweets) {
-          return _this.renderTweets(tweets);
-        };
-      })(this),
-      'showInteraction': false
-    };
-    return twitterFetcher.fetch(config);
+  ProductNotify.getVariants = function() {
+    return ThemeUtils.getStored(ProductNotify.storageKey, []);
   };
 
-  Twitter.prototype.renderTweets = function(tweets) {
-    this.$tweetContainer.html();
-    if (tweets.length) {
-      return this.$tweetContainer.html($(tweets[0]));
-    } else {
-      return console.log("No tweets to display. Most probable cause is an incorrectly entered username.");
+  ProductNotify.remember = function(variantId) {
+    var variants;
+    variants = ProductNotify.getVariants();
+    if (variants.indexOf(variantId) !== -1) {
+      return;
     }
+    variants.push(variantId);
+    return ThemeUtils.store(ProductNotify.storageKey, variants);
   };
 
-  return Twitter;
+  /*
+      Show the signup for a sold-out variant, or the add to cart button for
+      anything else.
+  
+      @param variant
+          {Object} The selected variant, or null if the options don't match one
+   */
 
-})();
+  ProductNotify.prototype.update = function(variant) {
+    var signedUp, soldOut;
+    soldOut = (variant != null) && !variant.available;
+    this.$el.toggleClass('hidden', !soldOut);
+    this.options.$addToCart.toggleClass('hidden', soldOut);
+    if (!soldOut) {
+      return;
+    }
+    this.$variantId.val(variant.id);
+    this.$variantTitle.val(variant.title);
+    this.$sku.val(variant.sku || '');
+    signedUp = ProductNotify.getVariants().indexOf(variant.id) !== -1;
+    this.$fields.toggleClass('hidden', signedUp);
+    return this._showMessage(signedUp ? this.strings.already : '');
+  };
 
-window.WidgetsView = (function(superClass) {
-  extend(WidgetsView, superClass);
+  ProductNotify.prototype.prepareRemove = function() {
+    return this.$form.off('submit.productNotify');
+  };
 
-  function WidgetsView() {
-    return WidgetsView.__super__.constructor.apply(this, arguments);
-  }
+  /*
+      Shopify answers a contact form post with the page it came from, so the
+      result is read from this form in the returned markup. Anything else,
+      such as a spam challenge, is handed to the browser as a normal post.
+   */
 
-  WidgetsView.prototype.initialize = function() {
-    var $instagram, $twitter;
-    $instagram = this.$el.find('[data-widget="instagram"]');
-    $twitter = this.$el.find('[data-widget="twitter"]');
-    this.instagram = null;
-    if ($instagram.length) {
-      this.instagram = new Instagram($instagram);
+  ProductNotify.prototype._submit = function(event) {
+    var variantId;
+    event.preventDefault();
+    if (this.processing) {
+      return;
     }
-    this.twitter = null;
-    if ($twitter.length) {
-      return this.twitter = new Twitter($twitter);
+    this.processing = true;
+    variantId = parseInt(this.$variantId.val(), 10);
+    this.$submit.text(this.strings.processing).prop('disabled', true);
+    this._showMessage('');
+    return $.ajax({
+      type: 'POST',
+      url: this.$form.attr('action'),
+      data: this.$form.serialize(),
+      dataType: 'html'
+    }).done((function(_this) {
+      return function(response) {
+        var $message;
+        $message = $('<div />').append($.parseHTML(response)).find("#" + (_this.$form.attr('id')) + " [data-product-notify-message]");
+        if (!$message.length) {
+          return _this.$form[0].submit();
+        }
+        if ($message.is('[data-product-notify-posted]')) {
+          ProductNotify.remember(variantId);
+          _this.$fields.addClass('hidden');
+          return _this._showMessage(_this.strings.success);
+        }
+        return _this._showMessage($.trim($message.text()) || _this.strings.error, true);
+      };
+    })(this)).fail((function(_this) {
+      return function() {
+        return _this._showMessage(_this.strings.error, true);
+      };
+    })(this)).always((function(_this) {
+      return function() {
+        _this.processing = false;
+        return _this.$submit.text(_this.strings.submit).prop('disabled', false);
+      };
+    })(this));
+  };
+
+  ProductNotify.prototype._showMessage = function(message, error) {
+    if (error == null) {
+      error = false;
     }
+    return this.$message.text(message).toggleClass('error', error);
   };
 
-  WidgetsView.prototype.update = function($el) {
-    var ref;
-    this.instagram.init($el);
-    return (ref = this.twitter) != null ? ref.init($el) : void 0;
+  return ProductNotify;
+
+})();
+
+window.ProductPersonalization = (function() {
+
+  /*
+      Personalization fields on the product form, sent to the cart as line
+      item properties. Fields limited to some variants are hidden and
+      disabled for the others, so their values aren't submitted.
+  
+      Text fields can show a preview of what's entered over the product
+      image.
+  
+      @param $el
+          {jQuery} The [data-product-personalization] element
+  
+      @param $previews
+          {jQuery} [data-product-personalization-preview] elements
+   */
+  function ProductPersonalization($el, $previews) {
+    this.$el = $el;
+    this.$previews = $previews;
+    this.$fields = this.$el.find('[data-product-personalization-field]');
+    this.$inputs = this.$el.find('[data-product-personalization-input]');
+    this.strings = JSON.parse(this.$el.find('[data-product-personalization-strings]').text());
+    this.$el.find('select').each(function(i, item) {
+      return new SelectView({
+        el: $(item)
+      });
+    });
+    this.$el.on('input.productPersonalization change.productPersonalization', '[data-product-personalization-input]', (function(_this) {
+      return function(event) {
+        return _this._onInput($(event.currentTarget));
+      };
+    })(this));
+    this.$inputs.each((function(_this) {
+      return function(i, input) {
+        return _this._updateCount($(input));
+      };
+    })(this));
+    this._updatePreviews();
+  }
+
+  /*
+      Show the fields that apply to a variant. A field's data-variants lists
+      the option values it's shown for; an empty list means every variant.
+  
+      @param variant
+          {Object} The selected variant, or null if the options don't match one
+   */
+
+  ProductPersonalization.prototype.update = function(variant) {
+    var options;
+    options = ((variant != null ? variant.options : void 0) || []).map(function(option) {
+      return String(option).toLowerCase();
+    });
+    this.$fields.each((function(_this) {
+      return function(i, field) {
+        var $field, $input, values, visible;
+        $field = $(field);
+        $input = $field.find('[data-product-personalization-input]');
+        values = ($field.attr('data-variants') || '').split(',').map(function(value) {
+          return $.trim(value);
+        }).filter(function(value) {
+          return value.length > 0;
+        });
+        visible = !values.length || values.some(function(value) {
+          return options.indexOf(value) !== -1;
+        });
+        $field.toggleClass('hidden', !visible);
+        $input.prop('disabled', !visible);
+        if (!visible) {
+          return _this._showError($input, null);
+        }
+      };
+    })(this));
+    return this._updatePreviews();
   };
 
-  WidgetsView.prototype.remove = function() {
-    delete (this.twitter != null);
-    if (this.instagram) {
-      this.instagram.unload();
-      return delete this.instagram;
+  /*
+      Show every error and move focus to the first invalid field.
+  
+      @return
+          {Boolean} Whether all shown fields are valid
+   */
+
+  ProductPersonalization.prototype.validate = function() {
+    var $invalid;
+    $invalid = this._enabledInputs().filter((function(_this) {
+      return function(i, input) {
+        var error;
+        error = _this._validateInput($(input));
+        _this._showError($(input), error);
+        return error != null;
+      };
+    })(this));
+    if ($invalid.length) {
+      $invalid.first().focus();
+      return false;
     }
+    return true;
   };
 
-  return WidgetsView;
-
-})(Backbone.View);
+  /*
+      Variant IDs of the surcharge products for the filled in fields.
+   */
 
-window.ZoomView = (function(superClass) {
-  extend(ZoomView, superClass);
+  ProductPersonalization.prototype.surcharges = function() {
+    return this._enabledInputs().filter('[data-surcharge-variant]').filter((function(_this) {
+      return function(i, input) {
+        return _this._value($(input)) !== '';
+      };
+    })(this)).map(function(i, input) {
+      return parseInt($(input).attr('data-surcharge-variant'), 10);
+    }).get();
+  };
 
-  function ZoomView() {
-    return ZoomView.__super__.constructor.apply(this, arguments);
-  }
+  ProductPersonalization.prototype.prepareRemove = function() {
+    return this.$el.off('.productPersonalization');
+  };
 
-  ZoomView.prototype.events = {
-    'prepare-zoom': 'prepareZoom',
-    'click': 'toggleZoom',
-    'mouseover .product-image-zoom': 'prepareZoom',
-    'mouseout .product-image-zoom': 'toggleZoom',
-    'mousemove .product-image-zoom': 'zoomImage'
+  ProductPersonalization.prototype._enabledInputs = function() {
+    return this.$inputs.filter(':enabled');
   };
 
-  ZoomView.prototype.initialize = function() {
-    this.zoomArea = this.$('.product-image-zoom');
-    this.$newImage = null;
-    return this.$el.imagesLoaded((function(_this) {
-      return function() {
-        return _this.prepareZoom();
-      };
-    })(this));
+  ProductPersonalization.prototype._onInput = function($input) {
+    if ($input.attr('aria-invalid')) {
+      this._showError($input, this._validateInput($input));
+    }
+    this._updateCount($input);
+    if ($input.is('[data-preview]')) {
+      return this._updatePreviews();
+    }
   };
 
-  ZoomView.prototype.prepareZoom = function() {
-    var highResSrc, newImage;
-    highResSrc = this.$el.find('img').attr('data-high-res');
-    newImage = new Image();
-    this.$newImage = $(newImage);
-    this.$newImage.on('load', (function(_this) {
-      return function() {
-        var imageHeight, imageWidth, photoAreaHeight, photoAreaWidth, ratio, ratios;
-        imageWidth = newImage.width;
-        imageHeight = newImage.height;
-        photoAreaWidth = _this.$el.width();
-        photoAreaHeight = _this.$el.height();
-        ratios = [];
-        ratios.push(imageWidth / photoAreaWidth);
-        ratios.push(imageHeight / photoAreaHeight);
-        ratio = Math.max.apply(null, ratios);
-        if (ratio >= 1 && imageWidth > photoAreaWidth && imageHeight > photoAreaHeight) {
-          _this.$el.addClass('zoom-enabled');
-          return _this.zoomArea.css({
-            backgroundImage: "url('" + highResSrc + "')"
-          });
-        } else {
-          _this.$el.removeClass('zoom-enabled');
-        }
-      };
-    })(this));
-    return newImage.src = highResSrc;
+  ProductPersonalization.prototype._value = function($input) {
+    if ($input.is(':checkbox')) {
+      if ($input.prop('checked')) {
+        return $input.val();
+      } else {
+        return '';
+      }
+    }
+    return $.trim($input.val() || '');
   };
 
-  ZoomView.prototype.toggleZoom = function(e) {
-    if (!this.$el.hasClass('zoom-enabled')) {
-      return;
+  ProductPersonalization.prototype._validateInput = function($input) {
+    var date, error, maxLength, pattern, value;
+    value = this._value($input);
+    if (!value) {
+      if ($input.attr('aria-required') === 'true') {
+        return this.strings.required;
+      }
+      return null;
     }
-    if (e.type === 'mouseout') {
-      this.zoomArea.removeClass('active');
-      this.zoomArea.css({
-        backgroundPosition: '50% 50%'
-      });
-      return;
+    maxLength = parseInt($input.attr('maxlength'), 10);
+    if (maxLength > 0 && value.length > maxLength) {
+      return this.strings.maxLength.replace('** max **', maxLength);
     }
-    if (this.zoomArea.hasClass('active')) {
-      this.zoomArea.removeClass('active');
+    if ($input.attr('data-pattern')) {
+      try {
+        pattern = new RegExp("^(?:" + ($input.attr('data-pattern')) + ")$");
+      } catch (error1) {
+        error = error1;
+      }
+      if ((pattern != null) && !pattern.test(value)) {
+        return $input.attr('data-pattern-message') || this.strings.pattern;
+      }
+    }
+    if ($input.attr('type') === 'date') {
+      date = new Date(value);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime())) {
+        return this.strings.date;
+      }
+    }
+    return null;
+  };
+
+  ProductPersonalization.prototype._showError = function($input, error) {
+    $input.closest('[data-product-personalization-field]').find('[data-product-personalization-error]').text(error || '');
+    if (error) {
+      return $input.attr('aria-invalid', true);
     } else {
-      this.zoomArea.addClass('active');
+      return $input.removeAttr('aria-invalid');
     }
-    return this.zoomImage(e);
   };
 
-  ZoomView.prototype.zoomImage = function(e) {
-    var bigImageOffset, bigImageX, bigImageY, mousePositionX, mousePositionY, ratioX, ratioY, zoomHeight, zoomWidth;
-    zoomWidth = this.zoomArea.width();
-    zoomHeight = this.zoomArea.height();
-    bigImageOffset = this.$el.offset();
-    bigImageX = Math.round(bigImageOffset.left);
-    bigImageY = Math.round(bigImageOffset.top);
-    mousePositionX = e.pageX - bigImageX;
-    mousePositionY = e.pageY - bigImageY;
-    if (mousePositionX < zoomWidth && mousePositionY < zoomHeight && mousePositionX > 0 && mousePositionY > 0) {
-      if (this.zoomArea.hasClass('active')) {
-        ratioY = (e.pageY - bigImageY) / zoomHeight * 100;
-        ratioX = (e.pageX - bigImageX) / zoomWidth * 100;
-        return this.zoomArea.css({
-          backgroundPosition: ratioX + "% " + ratioY + "%"
-        });
-      }
+  ProductPersonalization.prototype._updateCount = function($input) {
+    var maxLength;
+    maxLength = parseInt($input.attr('maxlength'), 10);
+    if (!(maxLength > 0)) {
+      return;
     }
+    return $input.closest('[data-product-personalization-field]').find('[data-product-personalization-count]').text(this.strings.characters.replace('** count **', ($input.val() || '').length).replace('** max **', maxLength));
   };
 
-  ZoomView.prototype.prepareRemove = function() {
-    return this.$newImage.off('load');
+  ProductPersonalization.prototype._updatePreviews = function() {
+    return this.$previews.each((function(_this) {
+      return function(i, preview) {
+        var $input, $preview, value;
+        $preview = $(preview);
+        $input = _this.$inputs.filter("[data-preview='" + ($preview.attr('data-product-personalization-preview')) + "']");
+        value = $input.is(':enabled') ? _this._value($input) : '';
+        return $preview.text(value).toggleClass('active', value !== '');
+      };
+    })(this));
   };
 
-  return ZoomView;
+  return ProductPersonalization;
 
-})(Backbone.View);
+})();
 
 window.LinkedOptions = (function() {
+
+  /*
+      Keys in the option maps are the JSON encoded values of every option
+      before the one being looked up, so option values may contain any text.
+      `["Red","Large"]` lists the values of the third option available for
+      a red, large variant.
+   */
   function LinkedOptions(options) {
     this.options = options;
+    this.markSoldOut = this.options.productSettings.soldOutOptions === 'mark';
+    this.optionsMap = {};
+    this.availableMap = {};
     this._init();
   }
 
@@ -5398,137 +8834,126 @@ window.LinkedOptions = (function() {
     return this._mapVariants(this.options.productJSON);
   };
 
-  LinkedOptions.prototype._getCurrent = function(optionIndex) {
-    var key, option1, option2, selector;
-    if (this.options.type === 'select') {
-      switch (optionIndex) {
-        case 0:
-          key = 'root';
-          selector = this.options.$selector.eq(0);
-          break;
-        case 1:
-          key = this.options.$selector.eq(0).val();
-          selector = this.options.$selector.eq(1);
-          break;
-        case 2:
-          key = (this.options.$selector.eq(0).val()) + " / " + (this.options.$selector.eq(1).val());
-          selector = this.options.$selector.eq(2);
-      }
+  LinkedOptions.prototype._getInputs = function(optionIndex) {
+    return this.options.$selector.filter("[data-option-index=" + optionIndex + "]");
+  };
+
+  LinkedOptions.prototype._getValue = function(optionIndex) {
+    var $inputs;
+    $inputs = this._getInputs(optionIndex);
+    if ($inputs.is(':radio')) {
+      $inputs = $inputs.filter(':checked');
     }
-    if (this.options.type === 'radio') {
-      switch (optionIndex) {
-        case 0:
-          key = 'root';
-          selector = this.options.$selector.filter('[data-option-index=0]').filter(':checked');
-          break;
-        case 1:
-          key = this.options.$selector.filter('[data-option-index=0]').filter(':checked').val();
-          selector = this.options.$selector.filter('[data-option-index=1]').filter(':checked');
-          break;
-        case 2:
-          option1 = this.options.$selector.filter('[data-option-index=0]').filter(':checked').val();
-          option2 = this.options.$selector.filter('[data-option-index=1]').filter(':checked').val();
-          key = option1 + " / " + option2;
-          selector = this.options.$selector.filter('[data-option-index=2]').filter(':checked');
-      }
+    return $inputs.val();
+  };
+
+  LinkedOptions.prototype._getKey = function(optionIndex) {
+    var index, j, ref, values;
+    values = [];
+    for (index = j = 0, ref = optionIndex; j < ref; index = j += 1) {
+      values.push(this._getValue(index));
+    }
+    return JSON.stringify(values);
+  };
+
+  LinkedOptions.prototype._addToMap = function(map, key, value) {
+    map[key] = map[key] || [];
+    if (map[key].indexOf(value) === -1) {
+      return map[key].push(value);
     }
-    return {
-      key: key,
-      selector: selector
-    };
   };
 
-  LinkedOptions.prototype._updateOptions = function(optionIndex, optionsMap) {
-    var $nextOption, $option, $selector, $selectorOptions, availableOptions, initialValue, j, key, l, len, len1, nextSelector, option, ref, selector, updateSelected;
-    nextSelector = optionIndex + 1;
+  LinkedOptions.prototype._updateOptions = function(optionIndex) {
+    var index, j, ref, ref1, results1;
+    results1 = [];
+    for (index = j = ref = optionIndex, ref1 = this.options.productJSON.options.length; j < ref1; index = j += 1) {
+      results1.push(this._updateOption(index));
+    }
+    return results1;
+  };
+
+  LinkedOptions.prototype._updateOption = function(optionIndex) {
+    var $inputs, $option, $selectable, $selector, available, chosenProp, existing, isRadio, j, key, len, option, selectable, updateSelected;
+    key = this._getKey(optionIndex);
+    existing = this.optionsMap[key] || [];
+    available = this.availableMap[key] || [];
+    selectable = this.markSoldOut ? existing : available;
+    $selector = this._getInputs(optionIndex);
+    isRadio = $selector.is(':radio');
+    $inputs = isRadio ? $selector : $selector.find('option');
+    chosenProp = isRadio ? 'checked' : 'selected';
     updateSelected = false;
-    ref = this._getCurrent(optionIndex), key = ref.key, selector = ref.selector;
-    availableOptions = optionsMap[key] || [];
-    if (this.options.type === 'select') {
-      $selector = this.options.$productForm.find(selector);
-      initialValue = $selector.val();
-      $selectorOptions = $selector.find('option');
-      for (j = 0, len = $selectorOptions.length; j < len; j++) {
-        option = $selectorOptions[j];
-        $option = $(option);
-        if (availableOptions.indexOf(option.value) === -1) {
-          if (option.selected) {
-            updateSelected = true;
-          }
-          $option.prop('disabled', true).prop('selected', false);
-        } else {
-          $option.prop('disabled', false);
+    for (j = 0, len = $inputs.length; j < len; j++) {
+      option = $inputs[j];
+      $option = $(option);
+      if (selectable.indexOf(option.value) === -1) {
+        if (option[chosenProp]) {
+          updateSelected = true;
         }
+        $option.prop('disabled', true).prop(chosenProp, false);
+      } else {
+        $option.prop('disabled', false);
       }
-      if (availableOptions.indexOf(initialValue) !== -1) {
-        $selector.val(initialValue);
-      }
-      if (updateSelected) {
-        $selectorOptions.filter(':not(:disabled)').eq(0).prop('selected', true);
+      if (this.markSoldOut) {
+        this._setSoldOut($option, selectable.indexOf(option.value) !== -1 && available.indexOf(option.value) === -1);
       }
     }
-    if (this.options.type === 'radio') {
-      $selector = this.options.$selector.filter("[data-option-index=" + optionIndex + "]");
-      for (l = 0, len1 = $selector.length; l < len1; l++) {
-        option = $selector[l];
-        $option = $(option);
-        if (availableOptions.indexOf(option.value) === -1) {
-          if (option.checked) {
-            updateSelected = true;
-          }
-          $option.prop('disabled', true).prop('checked', false);
-        } else {
-          $option.prop('disabled', false);
-        }
+    if (updateSelected) {
+      $selectable = $inputs.filter(':not(:disabled)');
+      if ($selectable.filter(function(index, input) {
+        return available.indexOf(input.value) !== -1;
+      }).length) {
+        $selectable = $selectable.filter(function(index, input) {
+          return available.indexOf(input.value) !== -1;
+        });
       }
-      if (updateSelected) {
-        $selector.filter(':not(:disabled)').eq(0).attr('checked', true).trigger('click');
+      return $selectable.eq(0).prop(chosenProp, true);
+    }
+  };
+
+  LinkedOptions.prototype._setSoldOut = function($option, soldOut) {
+    var $label, $soldOutText, soldOutText;
+    soldOutText = this.options.productSettings.soldOutText;
+    if ($option.is('option')) {
+      if ($option.data('option-text') == null) {
+        $option.data('option-text', $.trim($option.text()));
       }
+      return $option.text(soldOut ? ($option.data('option-text')) + " - " + soldOutText : $option.data('option-text'));
     }
-    $selector.trigger('change');
-    $nextOption = this.options.$selector.filter("[data-option-index=" + nextSelector + "]");
-    if ($nextOption.length !== 0) {
-      return this._updateOptions(nextSelector, optionsMap);
+    $label = $option.next('.option-picker-value');
+    $label.toggleClass('sold-out', soldOut);
+    $soldOutText = $label.find('[data-option-sold-out]');
+    if (!$soldOutText.length) {
+      $soldOutText = $('<span class="show-for-sr" data-option-sold-out></span>').appendTo($label);
     }
+    return $soldOutText.text(soldOut ? " (" + soldOutText + ")" : '');
   };
 
   LinkedOptions.prototype._mapVariants = function(product) {
-    var j, key, len, optionsMap, ref, variant;
-    optionsMap = [];
-    optionsMap['root'] = [];
+    var index, j, key, l, len, ref, ref1, variant;
     ref = product.variants;
     for (j = 0, len = ref.length; j < len; j++) {
       variant = ref[j];
-      if (variant.available) {
-        optionsMap['root'].push(variant.option1);
-        optionsMap['root'] = window.ThemeUtils.unique(optionsMap['root']);
-        if (product.options.length > 1) {
-          key = variant.option1;
-          optionsMap[key] = optionsMap[key] || [];
-          optionsMap[key].push(variant.option2);
-          optionsMap[key] = window.ThemeUtils.unique(optionsMap[key]);
-        }
-        if (product.options.length > 2) {
-          key = variant.option1 + " / " + variant.option2;
-          optionsMap[key] = optionsMap[key] || [];
-          optionsMap[key].push(variant.option3);
-          optionsMap[key] = window.ThemeUtils.unique(optionsMap[key]);
+      for (index = l = 0, ref1 = variant.options.length; l < ref1; index = l += 1) {
+        key = JSON.stringify(variant.options.slice(0, index));
+        this._addToMap(this.optionsMap, key, variant.options[index]);
+        if (variant.available) {
+          this._addToMap(this.availableMap, key, variant.options[index]);
         }
       }
     }
-    this._updateOptions(0, optionsMap);
-    return this.options.$selector.on('change', (function(_this) {
+    this._updateOptions(0);
+    return this.options.$selector.on('change.linkedOptions', (function(_this) {
       return function(event) {
-        var index, nextSelector;
+        var index;
         index = parseInt($(event.currentTarget).attr('data-option-index'), 10);
-        nextSelector = index + 1;
-        return _this._updateOptions(nextSelector, optionsMap);
+        return _this._updateOptions(index + 1);
       };
     })(this));
   };
 
   LinkedOptions.prototype.prepareRemove = function() {
-    return this.options.$selector.off('change');
+    return this.options.$selector.off('change.linkedOptions');
   };
 
   return LinkedOptions;
@@ -5537,15 +8962,17 @@ window.LinkedOptions = (function() {
 
 window.VariantHelper = (function() {
   function VariantHelper(options) {
-    var defaultOptions, isShopify;
+    var defaultOptions;
     defaultOptions = {
       $addToCartButton: null,
       $priceFields: null,
       $productForm: null,
       $productThumbnails: null,
       $selector: null,
-      type: 'select',
+      onImageChange: null,
+      onVariantChange: null,
       productJSON: null,
+      productNotify: null,
       productSettings: null
     };
     this.options = window.ThemeUtils.extend(defaultOptions, options);
@@ -5554,34 +8981,95 @@ window.VariantHelper = (function() {
     this.enableHistory = false;
     this.$masterSelect = this.options.$productForm.find("#product-select-" + this.options.formID);
     this.$smartPaymentButtons = this.options.$productForm.find(".shopify-payment-button");
-    isShopify = window.Shopify && window.Shopify.preview_host;
-    if (window.history && window.history.replaceState && this.options.productSettings.enableHistory && !isShopify) {
+    this.popstateEvent = "popstate.variantHelper-" + this.options.formID;
+    if (window.history && window.history.replaceState && this.options.productSettings.enableHistory) {
       this.enableHistory = true;
     }
     this._init();
     this._bindEvents();
+    this._selectVariantFromUrl();
   }
 
   VariantHelper.prototype._init = function() {
-    var j, len, ref, select;
-    if (this.options.type === 'select') {
-      ref = this.options.$selector;
-      for (j = 0, len = ref.length; j < len; j++) {
-        select = ref[j];
-        this._setSelectLabel(null, $(select));
-      }
-    }
     if (this.options.productSettings.linkedOptions) {
-      return this.linkedOptions = new LinkedOptions(this.options);
+      this.linkedOptions = new LinkedOptions(this.options);
     }
+    return this._updateLabels();
   };
 
   VariantHelper.prototype._bindEvents = function() {
-    return this.options.$selector.on('change', (function(_this) {
+    this.options.$selector.on('change', (function(_this) {
       return function(event) {
         return _this._variantChange(event);
       };
     })(this));
+    if (this.enableHistory) {
+      return $(window).on(this.popstateEvent, (function(_this) {
+        return function() {
+          return _this._selectVariantFromUrl();
+        };
+      })(this));
+    }
+  };
+
+  VariantHelper.prototype._selectVariantFromUrl = function() {
+    var variantId;
+    variantId = parseInt(window.ThemeUtils.getQueryParam('variant'), 10);
+    if (isNaN(variantId)) {
+      return;
+    }
+    return this.selectVariant(variantId);
+  };
+
+  /*
+      Selects the options of a variant belonging to this product and runs the
+      usual change handlers, so price, image and availability follow along.
+  
+      @param variantId
+          {number} ID of the variant to select
+   */
+
+  VariantHelper.prototype.selectVariant = function(variantId) {
+    var j, len, ref, variant, variantOption;
+    variant = null;
+    ref = this.options.productJSON.variants;
+    for (j = 0, len = ref.length; j < len; j++) {
+      variantOption = ref[j];
+      if (variantOption.id === variantId) {
+        variant = variantOption;
+      }
+    }
+    if (variant == null) {
+      return false;
+    }
+    this.options.$selector.each((function(_this) {
+      return function(index, element) {
+        var $element, value;
+        $element = $(element);
+        value = variant.options[parseInt($element.attr('data-option-index'), 10)];
+        if ($element.is(':radio')) {
+          return $element.prop('checked', $element.val() === value);
+        } else {
+          return $element.val(value);
+        }
+      };
+    })(this));
+    this._getSelectedInputs().first().trigger('change');
+    return true;
+  };
+
+  VariantHelper.prototype._getSelectedInputs = function() {
+    return this.options.$selector.filter(function(index, element) {
+      return !$(element).is(':radio') || element.checked;
+    });
+  };
+
+  VariantHelper.prototype._updateLabels = function() {
+    return this._getSelectedInputs().each((function(_this) {
+      return function(index, element) {
+        return _this._setSelectLabel(null, $(element));
+      };
+    })(this));
   };
 
   VariantHelper.prototype._setSelectLabel = function(event, $target) {
@@ -5595,19 +9083,18 @@ window.VariantHelper = (function() {
     if (!$target) {
       $target = $(event.currentTarget);
     }
+    if ($target.is(':radio')) {
+      return $target.closest('[data-option-picker]').find('[data-selected-option]').text($target.val());
+    }
     selectedOption = $target.find('option:selected').val();
     return $target.prev('[data-select-text]').find('[data-selected-option]').text(selectedOption);
   };
 
   VariantHelper.prototype._getCurrentOptions = function() {
-    var $inputs, productOptions;
+    var productOptions;
     productOptions = [];
-    $inputs = this.options.$selector;
-    if (this.options.type === 'radio') {
-      $inputs = $inputs.filter(':checked');
-    }
-    $inputs.each(function(index, element) {
-      return productOptions.push($(element).val());
+    this._getSelectedInputs().each(function(index, element) {
+      return productOptions[parseInt($(element).attr('data-option-index'), 10)] = $(element).val();
     });
     return productOptions;
   };
@@ -5643,7 +9130,7 @@ window.VariantHelper = (function() {
   };
 
   VariantHelper.prototype._updatePrice = function(variant) {
-    var $addToCartButton, $amountSaved, $displayPrice, $originalPrice, $priceComparison, $priceFields, productSettings;
+    var $addToCartButton, $amountSaved, $displayPrice, $originalPrice, $priceComparison, $priceFields, productSettings, ref;
     $addToCartButton = this.options.$addToCartButton;
     $priceFields = this.options.$priceFields;
     productSettings = this.options.productSettings;
@@ -5651,6 +9138,9 @@ window.VariantHelper = (function() {
     $originalPrice = $priceFields.find('.original');
     $amountSaved = $priceFields.find('.saving-result');
     $priceComparison = $priceFields.find('.product-price-compare');
+    if ((ref = this.options.productNotify) != null) {
+      ref.update(variant);
+    }
     if (variant != null) {
       if (variant.available) {
         $addToCartButton.val(productSettings.addToCartText).removeClass('disabled').removeAttr('disabled');
@@ -5679,21 +9169,24 @@ window.VariantHelper = (function() {
   };
 
   VariantHelper.prototype._updateImages = function(variant) {
-    var imageId, ref;
-    imageId = variant != null ? (ref = variant.featured_image) != null ? ref.id : void 0 : void 0;
-    if (imageId == null) {
-      return;
+    if (typeof this.options.onImageChange === 'function') {
+      return this.options.onImageChange(variant);
     }
-    return this.options.$productThumbnails.find("[data-image-id='" + imageId + "']").trigger("click");
+  };
+
+  VariantHelper.prototype.getCurrentVariant = function() {
+    return this._getVariantFromOptions(this._getCurrentOptions());
   };
 
   VariantHelper.prototype._updateHistory = function(variant) {
-    var newUrl, variantUrl;
+    var variantUrl;
     if (!(this.enableHistory && (variant != null))) {
       return;
     }
-    newUrl = [window.location.protocol, '//', window.location.host, window.location.pathname, '?variant=', variant.id];
-    variantUrl = newUrl.join('');
+    variantUrl = window.ThemeUtils.setQueryParam('variant', variant.id);
+    if (variantUrl === window.location.pathname + window.location.search + window.location.hash) {
+      return;
+    }
     return window.history.replaceState({
       path: variantUrl
     }, '', variantUrl);
@@ -5701,20 +9194,21 @@ window.VariantHelper = (function() {
 
   VariantHelper.prototype._variantChange = function(event) {
     var productOptions, variant;
-    if (this.options.type === 'select') {
-      this._setSelectLabel(event);
-    }
+    this._updateLabels();
     productOptions = this._getCurrentOptions();
     variant = this._getVariantFromOptions(productOptions);
     this._updateMasterSelect(variant);
     this._updatePrice(variant);
     this._updateImages(variant);
     this._updateHistory(variant);
-    return this._updateSmartPaymentButtons(variant);
+    this._updateSmartPaymentButtons(variant);
+    if (typeof this.options.onVariantChange === 'function') {
+      return this.options.onVariantChange(variant);
+    }
   };
 
   VariantHelper.prototype._updateSmartPaymentButtons = function(variant) {
-    if (variant.available) {
+    if ((variant != null) && variant.available) {
       return this.$smartPaymentButtons.slideDown();
     } else {
       return this.$smartPaymentButtons.slideUp();
@@ -5724,6 +9218,7 @@ window.VariantHelper = (function() {
   VariantHelper.prototype.prepareRemove = function() {
     var ref;
     this.options.$selector.off('change');
+    $(window).off(this.popstateEvent);
     return (ref = this.linkedOptions) != null ? ref.prepareRemove() : void 0;
   };
 
@@ -5799,19 +9294,21 @@ window.ImagePreloader = (function() {
 
 window.ProductDetails = (function() {
   function ProductDetails(instance) {
-    var $productJSON, $productSettings;
+    var $lightbox, $notify, $personalization, $productJSON, $productSettings, $quantityRules, ref;
     this.el = instance.el;
     this.$el = $(this.el);
     this.$productForm = $("[data-product-form]", this.$el);
     this.formID = this.$productForm.attr("data-product-form");
     this.processing = false;
-    this.$productSlideshowNavigation = $(".product-slideshow-navigation");
+    this.$productSlideshowNavigation = $(".product-slideshow-navigation", this.$el);
     this.productForm = "product-form-" + this.formID;
     this.$productThumbnails = $(".product-thumbnails", this.$el);
     this.$productImage = $(".product-big-image", this.$el);
     this.$addToCartButton = $(".add-to-cart input", this.$el);
     this.$priceArea = $(".product-price", this.$el);
     this.$productMessage = $("[data-product-message]", this.$el);
+    this.$shippingEstimator = $("[data-shipping-estimator]", this.$el);
+    this.media = new ProductMedia(this.$productImage);
     $productJSON = $("[data-product-json-" + this.formID + "]", this.$el);
     $productSettings = $("[data-product-settings-" + this.formID + "]", this.$el);
     if (!$productJSON.length) {
@@ -5819,29 +9316,80 @@ window.ProductDetails = (function() {
     }
     this.productJSON = JSON.parse($productJSON.text());
     this.productSettings = JSON.parse($productSettings.text());
+    this.$quantity = this.$el.find("input[name='quantity']");
+    this.$quantityError = this.$el.find("[data-quantity-error]");
+    $quantityRules = $("[data-product-quantity-rules-" + this.formID + "]", this.$el);
+    if ($quantityRules.length) {
+      $.each(JSON.parse($quantityRules.text()), function(variantId, rules) {
+        return QuantityRules.store(variantId, rules);
+      });
+    }
+    RecentlyViewed.record(this.productJSON);
     this.$variantDropdowns = $("[data-option-select=" + this.formID + "]", this.$el);
     this.options = this.productJSON.options;
     this.variants = this.productJSON.variants;
+    $lightbox = $("[data-product-lightbox]", this.$el);
+    if (this.productSettings.lightbox && $lightbox.length) {
+      this.lightbox = new ProductLightbox($lightbox, {
+        onChange: (function(_this) {
+          return function(index) {
+            return _this._syncLightbox(index);
+          };
+        })(this)
+      });
+    }
     if (this.productSettings.imageZoom) {
       this.zoomView = new ZoomView({
-        el: this.$productImage
+        el: this.$productImage,
+        hover: this.lightbox != null
+      });
+    }
+    $notify = $("[data-product-notify]", this.$el);
+    if (this.productSettings.backInStock && $notify.length) {
+      this.productNotify = new ProductNotify($notify, {
+        $addToCart: $(".add-to-cart", this.$el),
+        variants: this.variants
       });
     }
+    $personalization = $("[data-product-personalization]", this.$el);
+    if ($personalization.length) {
+      this.personalization = new ProductPersonalization($personalization, $("[data-product-personalization-preview]", this.$el));
+    }
     if (this.$variantDropdowns.length) {
       this.setupVariants();
     }
+    if ((ref = this.personalization) != null) {
+      ref.update(this.variantHelpers != null ? this.variantHelpers.getCurrentVariant() : this.variants[0]);
+    }
+    if (this.$shippingEstimator.length) {
+      this.shippingEstimator = new ShippingEstimator(this.$shippingEstimator, {
+        variantId: (function(_this) {
+          return function() {
+            return parseInt(_this.$productForm.find('[name="id"]').val(), 10);
+          };
+        })(this)
+      });
+    }
     this.cacheImages();
-    Shopify.onError = (function(_this) {
-      return function(XMLHttpRequest) {
-        return _this.handleErrors(XMLHttpRequest);
-      };
-    })(this);
     this._bindEvents();
   }
 
   ProductDetails.prototype.prepareRemove = function() {
-    var ref, ref1, ref2;
+    var ref, ref1, ref2, ref3, ref4, ref5, ref6;
     this._unbindEvents();
+    if ((ref3 = this.shippingEstimator) != null) {
+      ref3.prepareRemove();
+    }
+    if ((ref4 = this.lightbox) != null) {
+      ref4.prepareRemove();
+    }
+    if ((ref5 = this.productNotify) != null) {
+      ref5.prepareRemove();
+    }
+    if ((ref6 = this.personalization) != null) {
+      ref6.prepareRemove();
+    }
+    this.media.prepareRemove();
     this.$productSlideshowNavigation.off("mouseout.productSlideshow");
     if ((ref = this.variantHelpers) != null) {
       ref.prepareRemove();
@@ -5861,11 +9409,103 @@ window.ProductDetails = (function() {
       $productThumbnails: this.$productThumbnails,
       $selector: this.$variantDropdowns,
       formID: this.formID,
+      onImageChange: (function(_this) {
+        return function(variant) {
+          return _this.showVariantImage(variant);
+        };
+      })(this),
+      onVariantChange: (function(_this) {
+        return function(variant) {
+          var ref;
+          return (ref = _this.personalization) != null ? ref.update(variant) : void 0;
+        };
+      })(this),
+      productNotify: this.productNotify,
       productSettings: this.productSettings,
-      productJSON: this.productJSON,
-      type: 'select'
+      productJSON: this.productJSON
     };
-    return this.variantHelpers = new VariantHelper(dropdownSettings);
+    this.variantHelpers = new VariantHelper(dropdownSettings);
+    return this.showVariantImage(this.variantHelpers.getCurrentVariant());
+  };
+
+  /*
+      Moves the gallery to the variant's featured image and, when
+      `variantImagesOnly` is set, limits the thumbnails to that variant's images.
+   */
+
+  ProductDetails.prototype.showVariantImage = function(variant) {
+    var $thumbnails, index, selector;
+    if (this.productSettings.variantImagesOnly) {
+      this.filterThumbnails(variant);
+    }
+    if ((variant != null ? variant.featured_media : void 0) != null) {
+      selector = "[data-media-id='" + variant.featured_media.id + "']";
+    } else if ((variant != null ? variant.featured_image : void 0) != null) {
+      selector = "[data-image-id='" + variant.featured_image.id + "']";
+    } else {
+      return;
+    }
+    $thumbnails = this.$productThumbnails.find(".product-slideshow-pagination-item");
+    index = $thumbnails.index($thumbnails.filter(selector));
+    if (index === -1 || $thumbnails.eq(index).hasClass("active")) {
+      return;
+    }
+    return this.updateProductImage(null, index);
+  };
+
+  /*
+      A variant's images start at its featured image and run until the next
+      image used as a variant's featured image. Images before the first
+      variant image are shared by every variant.
+   */
+
+  ProductDetails.prototype.filterThumbnails = function(variant) {
+    var $thumbnails, featuredMedia, featuredPositions, firstPosition, j, lastPosition, len, nextPositions, position, ref, ref1, variantOption, visibleCount;
+    $thumbnails = this.$productThumbnails.find(".product-slideshow-pagination-item");
+    position = (ref = this._featuredMedia(variant)) != null ? ref.position : void 0;
+    visibleCount = $thumbnails.length;
+    if (position == null) {
+      $thumbnails.removeClass("hidden");
+    } else {
+      featuredPositions = [];
+      ref1 = this.variants;
+      for (j = 0, len = ref1.length; j < len; j++) {
+        variantOption = ref1[j];
+        featuredMedia = this._featuredMedia(variantOption);
+        if (featuredMedia != null) {
+          featuredPositions.push(featuredMedia.position);
+        }
+      }
+      firstPosition = Math.min.apply(Math, featuredPositions);
+      nextPositions = featuredPositions.filter(function(featuredPosition) {
+        return featuredPosition > position;
+      });
+      lastPosition = nextPositions.length ? Math.min.apply(Math, nextPositions) : Infinity;
+      visibleCount = 0;
+      $thumbnails.each(function(index, thumbnail) {
+        var imagePosition, visible;
+        imagePosition = index + 1;
+        visible = imagePosition < firstPosition || (imagePosition >= position && imagePosition < lastPosition);
+        if (visible) {
+          visibleCount++;
+        }
+        return $(thumbnail).toggleClass("hidden", !visible);
+      });
+    }
+    return this.$el.find(".product-slideshow-navigation").toggle(visibleCount > 1);
+  };
+
+  /*
+      Thumbnails follow the product's media, so prefer the variant's
+      featured media and its media position where Shopify provides them.
+   */
+
+  ProductDetails.prototype._featuredMedia = function(variant) {
+    var ref;
+    if (variant == null) {
+      return null;
+    }
+    return (ref = variant.featured_media) != null ? ref : variant.featured_image;
   };
 
   ProductDetails.prototype.switchCurrency = function() {
@@ -5888,6 +9528,10 @@ window.ProductDetails = (function() {
     $target = e ? $(e.currentTarget) : this.$el.find(".product-thumbnails .product-slideshow-pagination-item").eq(index);
     newSrc = $target.data("default-res");
     $target.addClass("active");
+    if (($target.attr("data-media-type") || "image") !== "image") {
+      return this.media.show($target.attr("data-media-id"));
+    }
+    this.media.show(null);
     this.$el.find("[data-product-main-image]").removeAttr("width height").removeClass("product-no-images").attr({
       src: newSrc,
       srcset: newSrc,
@@ -5904,8 +9548,19 @@ window.ProductDetails = (function() {
   };
 
   ProductDetails.prototype.addToCart = function(e) {
-    var quantity;
-    if (this.productSettings.cartRedirect) {
+    var message, quantity, ref, request, surcharges;
+    message = this._quantityRules().validate(parseInt(this.$quantity.val(), 10), false);
+    if (message) {
+      e.preventDefault();
+      this.$quantityError.text(message);
+      return;
+    }
+    if ((this.personalization != null) && !this.personalization.validate()) {
+      e.preventDefault();
+      return;
+    }
+    surcharges = (ref = this.personalization) != null ? ref.surcharges() : [];
+    if (this.productSettings.cartRedirect && !surcharges.length) {
       return;
     }
     e.preventDefault();
@@ -5929,13 +9584,18 @@ window.ProductDetails = (function() {
         };
       })(this), 500);
     } else {
-      return Shopify.addItemFromForm(this.productForm, (function(_this) {
-        return function(cartItem) {
+      request = surcharges.length ? this._addWithSurcharges(surcharges) : cartClient.addItemFromForm($("#" + this.productForm));
+      return request.done((function(_this) {
+        return function(cartItem, cart) {
+          if (_this.productSettings.cartRedirect) {
+            return window.location = '/cart';
+          }
           return setTimeout(function() {
             var successMessage;
-            Shopify.getCart(function(cart) {
-              return $(".cart-link .cart-count").text(cart.item_count);
-            });
+            $(".cart-link .cart-count").text(cart.item_count);
+            if (_this.productSettings.cartDrawer) {
+              $(document.body).trigger('openCartDrawer', [cart]);
+            }
             successMessage = _this.productSettings.successMessage.replace('** product **', "<em>" + cartItem.title + "</em>");
             _this.$productMessage.html(successMessage);
             _this.$el.find("input[name='quantity']").removeClass("error");
@@ -5947,31 +9607,76 @@ window.ProductDetails = (function() {
             return _this.processing = false;
           }, 1000);
         };
+      })(this)).fail((function(_this) {
+        return function(errorMessage) {
+          return _this.handleErrors(errorMessage);
+        };
       })(this));
     }
   };
 
-  ProductDetails.prototype.handleErrors = function(errors) {
-    var errorDescription, errorMessage, productTitle, ref;
-    errorMessage = $.parseJSON(errors.responseText);
+  /*
+      Add the form's item and the surcharge products for filled in
+      personalization fields in one request, so neither is added without
+      the other. The item gets a `_personalization` id and each surcharge
+      line a matching `_for`, which keeps them linked even as line keys
+      change. Resolves with the item and the resulting cart.
+   */
+
+  ProductDetails.prototype._addWithSurcharges = function(surcharges) {
+    var item, personalizationId;
+    item = {
+      properties: {}
+    };
+    $("#" + this.productForm).serializeArray().forEach(function(field) {
+      var match;
+      if (match = field.name.match(/^properties\[(.+)\]$/)) {
+        return item.properties[match[1]] = field.value;
+      } else {
+        return item[field.name] = field.value;
+      }
+    });
+    item.quantity = parseInt(item.quantity, 10) || 1;
+    personalizationId = (new Date().getTime().toString(36)) + (Math.random().toString(36).slice(2, 8));
+    item.properties._personalization = personalizationId;
+    return cartClient.addItems([item].concat(surcharges.map(function(variantId) {
+      return {
+        id: variantId,
+        quantity: item.quantity,
+        properties: {
+          _for: personalizationId
+        }
+      };
+    }))).then(function(response, cart) {
+      return $.Deferred().resolve(response.items[0], cart).promise();
+    });
+  };
+
+  /*
+      Show why an add failed. Cart errors from Shopify describe the problem;
+      anything else (a network error or an unexpected response) gets a
+      generic message. Either way the button is ready to try again.
+   */
+
+  ProductDetails.prototype.handleErrors = function(errorMessage) {
+    var errorDescription, productTitle;
     productTitle = this.productJSON.title;
-    errorDescription = errorMessage.description;
-    if (((ref = errorMessage.description) != null ? ref.indexOf(productTitle) : void 0) > -1) {
-      errorDescription = errorDescription.replace(productTitle, "<em>" + productTitle + "</em>");
-    }
-    if (errorMessage.message === "Cart Error") {
-      return setTimeout((function(_this) {
-        return function() {
-          _this.$el.find("input[name='quantity']").removeClass("error");
-          _this.$productMessage.html(errorDescription);
-          _this.$el.find(".add-to-cart").removeClass("loading added-success").addClass("added-error");
-          if (!Modernizr.cssanimations) {
-            _this.$addToCartButton.val(_this.productSettings.addToCartText);
-          }
-          return _this.processing = false;
-        };
-      })(this), 1000);
+    if (errorMessage.message === "Cart Error" && errorMessage.description) {
+      errorDescription = errorMessage.description.replace(productTitle, "<em>" + productTitle + "</em>");
+    } else {
+      errorDescription = this.productSettings.errorText;
     }
+    return setTimeout((function(_this) {
+      return function() {
+        _this.$el.find("input[name='quantity']").removeClass("error");
+        _this.$productMessage.html(errorDescription);
+        _this.$el.find(".add-to-cart").removeClass("loading added-success").addClass("added-error");
+        if (!Modernizr.cssanimations) {
+          _this.$addToCartButton.val(_this.productSettings.addToCartText);
+        }
+        return _this.processing = false;
+      };
+    })(this), 1000);
   };
 
   ProductDetails.prototype.tabs = function(e) {
@@ -5983,39 +9688,107 @@ window.ProductDetails = (function() {
   };
 
   ProductDetails.prototype.navigate = function(e) {
-    var index, target, total;
+    var $items, $visibleItems, index, target, total;
     if (e) {
       e.preventDefault();
     }
-    total = this.$el.find(".product-slideshow-pagination-item").size() - 1;
-    index = this.$el.find(".product-slideshow-pagination-item.active").index();
+    $items = this.$el.find(".product-slideshow-pagination-item");
+    $visibleItems = $items.not(".hidden");
+    total = $visibleItems.length - 1;
+    index = $visibleItems.index($visibleItems.filter(".active"));
     if ($(e.currentTarget).hasClass("product-slideshow-next")) {
-      if (index === total) {
+      if (index >= total) {
         target = 0;
       } else {
-        target = this.$el.find(".product-slideshow-pagination-item.active").next().index();
+        target = index + 1;
       }
     } else {
-      if (index === 0) {
+      if (index <= 0) {
         target = total;
       } else {
-        target = this.$el.find(".product-slideshow-pagination-item.active").prev().index();
+        target = index - 1;
       }
     }
-    return this.updateProductImage(false, target);
+    return this.updateProductImage(false, $items.index($visibleItems.eq(target)));
   };
 
-  ProductDetails.prototype.amount = function(e) {
-    var input, result;
-    input = $(e.currentTarget).parents(".number-input-wrapper").find('input');
-    result = parseFloat(input.val());
-    if ($(e.currentTarget).hasClass("icon-plus")) {
-      return input.val(result + 1);
+  /*
+      Open the lightbox on the active image, with the same images the
+      thumbnails are showing. Videos and models stay in the page gallery.
+   */
+
+  ProductDetails.prototype.openLightbox = function(e) {
+    var $image, $visibleItems, images, index, ref;
+    if (this.lightbox == null) {
+      return;
+    }
+    e.preventDefault();
+    if ((ref = this.zoomView) != null) {
+      ref.reset();
+    }
+    $visibleItems = this._lightboxItems();
+    if ($visibleItems.length) {
+      images = $visibleItems.map(function(i, item) {
+        return {
+          src: $(item).data("high-res"),
+          alt: $(item).data("alt")
+        };
+      }).get();
+      index = Math.max($visibleItems.index($visibleItems.filter(".active")), 0);
     } else {
-      if (result > 0) {
-        return input.val(result - 1);
-      }
+      $image = this.$el.find("[data-product-main-image]");
+      images = [
+        {
+          src: $image.attr("data-high-res"),
+          alt: $image.attr("alt")
+        }
+      ];
+      index = 0;
+    }
+    return this.lightbox.open(images, index);
+  };
+
+  ProductDetails.prototype._syncLightbox = function(index) {
+    var $items, $target;
+    $items = this.$productThumbnails.find(".product-slideshow-pagination-item");
+    $target = this._lightboxItems().eq(index);
+    if (!$target.length || $target.hasClass("active")) {
+      return;
     }
+    return this.updateProductImage(null, $items.index($target));
+  };
+
+  ProductDetails.prototype._lightboxItems = function() {
+    return this.$productThumbnails.find(".product-slideshow-pagination-item").not(".hidden").filter(function() {
+      return ($(this).attr("data-media-type") || "image") === "image";
+    });
+  };
+
+  ProductDetails.prototype.amount = function(e) {
+    var quantity, rules;
+    rules = this._quantityRules();
+    quantity = parseInt(this.$quantity.val(), 10);
+    quantity = isNaN(quantity) ? rules.min : quantity;
+    return this.setQuantity(rules.adjust(quantity, $(e.currentTarget).hasClass("icon-plus") ? 1 : -1, false));
+  };
+
+  /*
+      Set the quantity input to the nearest quantity the selected variant
+      allows, explaining any difference from the one requested.
+   */
+
+  ProductDetails.prototype.setQuantity = function(quantity) {
+    var rules;
+    rules = this._quantityRules();
+    this.$quantity.val(rules.clamp(quantity, false)).removeClass("error").attr({
+      min: rules.min,
+      step: rules.step
+    });
+    return this.$quantityError.text(rules.validate(quantity, false) || "");
+  };
+
+  ProductDetails.prototype._quantityRules = function() {
+    return QuantityRules.forVariant(this.$productForm.find("[name='id']").val());
   };
 
   ProductDetails.prototype._bindEvents = function() {
@@ -6035,10 +9808,22 @@ window.ProductDetails = (function() {
       return function(event) {
         return _this.navigate(event);
       };
+    })(this)).on('click', '[data-product-main-image], [data-product-lightbox-open], .product-image-zoom', (function(_this) {
+      return function(event) {
+        return _this.openLightbox(event);
+      };
     })(this)).on('click', '.number-input-nav-item', (function(_this) {
       return function(event) {
         return _this.amount(event);
       };
+    })(this)).on('change', "input[name='quantity']", (function(_this) {
+      return function(event) {
+        return _this.setQuantity(parseInt($(event.currentTarget).val(), 10));
+      };
+    })(this)).on('change', "[name='id']", (function(_this) {
+      return function() {
+        return _this.setQuantity(parseInt(_this.$quantity.val(), 10));
+      };
     })(this));
     return this.$productSlideshowNavigation.on("mouseout.productSlideshow", (function(_this) {
       return function(event) {
@@ -6048,7 +9833,7 @@ window.ProductDetails = (function() {
   };
 
   ProductDetails.prototype._unbindEvents = function() {
-    this.$el.on('click', '.product-slideshow-pagination-item').on('submit', '.product-form').on('click', '.product-tabs-header-item').on('click', '.product-slideshow-navigation').on('click', '.number-input-nav-item');
+    this.$el.off('click', '.product-slideshow-pagination-item').off('submit', '.product-form').off('click', '.product-tabs-header-item').off('click', '.product-slideshow-navigation').off('click', '[data-product-main-image], [data-product-lightbox-open], .product-image-zoom').off('click', '.number-input-nav-item').off('change', "input[name='quantity']").off('change', "[name='id']");
     return this.$productSlideshowNavigation.off("mouseout.productSlideshow");
   };
 
@@ -6056,6 +9841,386 @@ window.ProductDetails = (function() {
 
 })();
 
+window.RecentlyViewed = (function() {
+  function RecentlyViewed(instance) {
+    this.$el = instance.$container;
+    this.data = instance.data;
+    this.$wrapper = this.$el.find('[data-recently-viewed]');
+    this.$list = this.$el.find('[data-recently-viewed-list]');
+    this.$el.on('click.recentlyViewed', '[data-recently-viewed-clear]', (function(_this) {
+      return function() {
+        RecentlyViewed.clear();
+        return _this.render();
+      };
+    })(this));
+    this.render();
+  }
+
+  RecentlyViewed.storageKey = 'recentlyViewed';
+
+  RecentlyViewed.maxProducts = 12;
+
+
+  /*
+      Store a summary of a product at the front of the recently viewed list.
+  
+      @param product
+          {Object} Product JSON
+   */
+
+  RecentlyViewed.record = function(product) {
+    var products;
+    products = RecentlyViewed.getProducts().filter(function(item) {
+      return item.handle !== product.handle;
+    });
+    products.unshift({
+      handle: product.handle,
+      title: product.title,
+      url: product.url || ("/products/" + product.handle),
+      image: product.featured_image,
+      price: product.price_min,
+      priceVaries: product.price_varies,
+      compareAtPrice: product.compare_at_price_min,
+      available: product.available
+    });
+    return ThemeUtils.store(RecentlyViewed.storageKey, products.slice(0, RecentlyViewed.maxProducts));
+  };
+
+  RecentlyViewed.getProducts = function() {
+    return ThemeUtils.getStored(RecentlyViewed.storageKey, []);
+  };
+
+  RecentlyViewed.clear = function() {
+    return ThemeUtils.store(RecentlyViewed.storageKey, []);
+  };
+
+  RecentlyViewed.prototype.render = function() {
+    var j, len, product, products;
+    products = RecentlyViewed.getProducts().filter((function(_this) {
+      return function(product) {
+        return product.handle !== _this.data.currentHandle;
+      };
+    })(this)).slice(0, this.data.limit);
+    this.$list.trigger('theme:rimg:unwatch').empty();
+    for (j = 0, len = products.length; j < len; j++) {
+      product = products[j];
+      this.$list.append(this._renderItem(product));
+    }
+    this.$wrapper.toggleClass('hidden', !products.length);
+    this.$list.trigger('theme:rimg:watch');
+    if (Theme.enableCurrencyConverter) {
+      return this.$list.find('.money').each(function(index, priceField) {
+        return CurrencyConverter.update(priceField);
+      });
+    }
+  };
+
+  RecentlyViewed.prototype._renderItem = function(product) {
+    var $cover, $imageWrapper, $item, $link, $meta, $price, $text;
+    $item = $('<div class="list-item product-list-item"/>');
+    $link = $('<a class="list-container"/>').attr('href', product.url).appendTo($item);
+    $imageWrapper = $('<div class="list-image-wrapper"/>').appendTo($link);
+    $cover = $('<div class="list-cover"/>').appendTo($imageWrapper);
+    if (product.image) {
+      $cover.append($('<img class="list-image" alt="" data-rimg="lazy" data-rimg-scale="1" data-rimg-crop="center"/>').attr({
+        src: Shopify.resizeImage(product.image, '600x600'),
+        srcset: "data:image/svg+xml;utf8,<svg%20xmlns='http://www.w3.org/2000/svg'%20width='600'%20height='600'></svg>",
+        'data-rimg-template': product.image.replace(/(\.[^.\/?]+)(\?|$)/, '_{size}_crop_center$1$2')
+      }));
+    } else {
+      $cover.addClass('list-cover-placeholder');
+    }
+    if (product.available && product.compareAtPrice > product.price) {
+      $imageWrapper.append($('<div class="sale-badge"/>').text(this.data.sale));
+    }
+    $text = $('<div class="list-text-wrapper"/>').appendTo($link);
+    $text.append($('<div class="list-title"/>').text(product.title));
+    $meta = $('<div class="list-meta"/>').appendTo($text);
+    if (!product.available) {
+      $meta.text(this.data.soldOut);
+      return $item;
+    }
+    $price = $('<span class="price"/>').appendTo($meta);
+    if (product.priceVaries) {
+      $price.append(document.createTextNode(this.data.from + " "));
+    }
+    $price.append($('<span class="money"/>').html(Shopify.formatMoney(product.price, Theme.moneyFormat)));
+    return $item;
+  };
+
+  RecentlyViewed.prototype.prepareRemove = function() {
+    this.$el.off('.recentlyViewed');
+    return this.$list.trigger('theme:rimg:unwatch');
+  };
+
+  return RecentlyViewed;
+
+})();
+
+window.Dialog = (function() {
+
+  /*
+      Modal dialog with a focus trap, Escape and outside-click closing, and
+      focus returned to whatever opened it.
+  
+      Open dialogs are kept on a stack so they can be nested: only the top
+      one responds to the keyboard, and everything outside it is made inert.
+      The page behind stops scrolling while any dialog is open.
+  
+      @param $el
+          {jQuery} Element toggled with the active class. The dialog box is
+          the element itself or its first [role="dialog"] or
+          [role="alertdialog"] descendant; clicks outside the box close it.
+  
+      @param options
+          {Object} focus: element focused on open, defaults to the first
+          focusable element in the dialog
+          onClose: called whenever the dialog closes
+   */
+  function Dialog($el, options) {
+    this.$el = $el;
+    this.options = $.extend({
+      focus: null,
+      onClose: null
+    }, options);
+    this.$dialog = this.$el.is(Dialog.roleSelector) ? this.$el : this.$el.find(Dialog.roleSelector).first();
+    this.$trigger = null;
+    this.isOpen = false;
+  }
+
+  Dialog.stack = [];
+
+  Dialog.$inert = $();
+
+  Dialog.clickTimeout = null;
+
+  Dialog.roleSelector = '[role="dialog"], [role="alertdialog"]';
+
+  Dialog.focusableSelector = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])';
+
+  Dialog.top = function() {
+    return Dialog.stack[Dialog.stack.length - 1];
+  };
+
+  Dialog.prototype.open = function() {
+    var $focus;
+    if (this.isOpen) {
+      return;
+    }
+    this.isOpen = true;
+    this.$trigger = $(document.activeElement);
+    Dialog.stack.push(this);
+    Dialog._update();
+    this.$el.addClass('active').attr('aria-hidden', false);
+    $focus = this.options.focus != null ? $(this.options.focus) : this._focusable();
+    return ($focus.length ? $focus : this.$dialog).first().focus();
+  };
+
+  Dialog.prototype.close = function() {
+    var base;
+    if (!this.isOpen) {
+      return;
+    }
+    this.isOpen = false;
+    Dialog.stack.splice($.inArray(this, Dialog.stack), 1);
+    Dialog._update();
+    this.$el.removeClass('active').attr('aria-hidden', true);
+    if ((this.$trigger != null) && $.contains(document.documentElement, this.$trigger[0])) {
+      this.$trigger.focus();
+    }
+    this.$trigger = null;
+    return typeof (base = this.options).onClose === "function" ? base.onClose() : void 0;
+  };
+
+  Dialog.prototype.prepareRemove = function() {
+    this.options.onClose = null;
+    return this.close();
+  };
+
+  Dialog.prototype._focusable = function() {
+    return this.$dialog.find(Dialog.focusableSelector).filter(':visible');
+  };
+
+  Dialog.prototype._trapFocus = function(event) {
+    var $focusable, first, last;
+    $focusable = this._focusable();
+    if (!$focusable.length) {
+      event.preventDefault();
+      return this.$dialog.focus();
+    }
+    first = $focusable[0];
+    last = $focusable[$focusable.length - 1];
+    if (event.shiftKey && (document.activeElement === first || document.activeElement === this.$dialog[0])) {
+      event.preventDefault();
+      return last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      return first.focus();
+    } else if (!$.contains(this.$dialog[0], document.activeElement) && document.activeElement !== this.$dialog[0]) {
+      event.preventDefault();
+      return first.focus();
+    }
+  };
+
+  /*
+      Make everything outside the top dialog inert, walking up from the
+      dialog and marking the siblings at each level. Elements that were
+      already inert are left alone.
+  
+      Outside clicks are only listened for from the next tick, since the
+      click that opened a dialog is still on its way up to the document.
+   */
+
+  Dialog._update = function() {
+    var $node, top;
+    Dialog.$inert.removeAttr('inert');
+    Dialog.$inert = $();
+    $(document.body).toggleClass('showing-dialog', Dialog.stack.length > 0);
+    clearTimeout(Dialog.clickTimeout);
+    top = Dialog.top();
+    if (top == null) {
+      $(document).off('.dialog');
+      return;
+    }
+    $node = top.$el;
+    while ($node.length && !$node.is('body')) {
+      Dialog.$inert = Dialog.$inert.add($node.siblings().not('[inert], script, style'));
+      $node = $node.parent();
+    }
+    Dialog.$inert.attr('inert', '');
+    $(document).off('.dialog').on('keydown.dialog', function(event) {
+      if (event.isDefaultPrevented()) {
+        return;
+      }
+      if (event.keyCode === 27) {
+        return Dialog.top().close();
+      } else if (event.keyCode === 9) {
+        return Dialog.top()._trapFocus(event);
+      }
+    });
+    return Dialog.clickTimeout = setTimeout(function() {
+      return $(document).on('click.dialog', Dialog._clickOutside);
+    }, 0);
+  };
+
+  Dialog._clickOutside = function(event) {
+    var $dialog;
+    $dialog = Dialog.top().$dialog;
+    if (!$.contains(document.documentElement, event.target)) {
+      return;
+    }
+    if (event.target !== $dialog[0] && !$.contains($dialog[0], event.target)) {
+      return Dialog.top().close();
+    }
+  };
+
+  return Dialog;
+
+})();
+
+window.QuickView = (function(superClass) {
+  extend(QuickView, superClass);
+
+  function QuickView() {
+    return QuickView.__super__.constructor.apply(this, arguments);
+  }
+
+  QuickView.prototype.events = {
+    'click [data-quick-view-close]': 'close'
+  };
+
+  QuickView.prototype.initialize = function() {
+    this.$body = $(document.body);
+    this.$modal = this.$('.quick-view');
+    this.$content = this.$('[data-quick-view-content]');
+    this.$trigger = null;
+    this.productDetails = null;
+    this.request = null;
+    this.dialog = new Dialog(this.$el, {
+      focus: this.$modal,
+      onClose: (function(_this) {
+        return function() {
+          return _this._onClose();
+        };
+      })(this)
+    });
+    return this.$body.on('click.quickView', '[data-quick-view-trigger]', (function(_this) {
+      return function(event) {
+        event.preventDefault();
+        return _this.open($(event.currentTarget));
+      };
+    })(this));
+  };
+
+  QuickView.prototype.open = function($trigger) {
+    var ref;
+    if ((ref = this.request) != null) {
+      ref.abort();
+    }
+    this.$trigger = $trigger.addClass('loading');
+    return this.request = $.get($trigger.attr('data-quick-view-trigger'), {
+      view: 'quick-view'
+    }).done((function(_this) {
+      return function(response) {
+        return _this._render(response);
+      };
+    })(this)).always((function(_this) {
+      return function() {
+        $trigger.removeClass('loading');
+        return _this.request = null;
+      };
+    })(this));
+  };
+
+  QuickView.prototype._render = function(response) {
+    var $container;
+    this._teardown();
+    this.$content.html(response);
+    $container = this.$content.find('[data-section-type="product-quick-view"]');
+    if ($container.length) {
+      this.productDetails = new ProductDetails({
+        $container: $container,
+        el: $container.parent()[0]
+      });
+    }
+    this.$content.trigger('theme:rimg:watch');
+    if (Theme.enableCurrencyConverter) {
+      this.$content.find('.money').each(function(index, priceField) {
+        return CurrencyConverter.update(priceField);
+      });
+    }
+    return this.dialog.open();
+  };
+
+  QuickView.prototype.close = function() {
+    var ref;
+    if ((ref = this.request) != null) {
+      ref.abort();
+    }
+    return this.dialog.close();
+  };
+
+  QuickView.prototype._onClose = function() {
+    this._teardown();
+    if (this.$trigger != null) {
+      this.$trigger.focus();
+    }
+    return this.$trigger = null;
+  };
+
+  QuickView.prototype._teardown = function() {
+    if (this.productDetails != null) {
+      this.productDetails.prepareRemove();
+      this.productDetails = null;
+    }
+    this.$content.trigger('theme:rimg:unwatch');
+    return this.$content.empty();
+  };
+
+  return QuickView;
+
+})(Backbone.View);
+
 window.ThemeView = (function(superClass) {
   extend(ThemeView, superClass);
 
@@ -6077,6 +10242,7 @@ window.ThemeView = (function(superClass) {
     this.isPage = body.hasClass('template-page');
     this.isPassword = body.hasClass('template-password');
     this.isBlog = body.hasClass('template-blog') || body.hasClass('template-article');
+    this.isSearch = body.hasClass('template-search');
     this.isAccount = ((ref = body.attr('class')) != null ? ref.indexOf('-customers-') : void 0) > 0;
     this.isGiftCardPage = body.hasClass("gift-card-template");
     this.rteViews = [];
@@ -6089,6 +10255,11 @@ window.ThemeView = (function(superClass) {
     this._templateViews();
     this._richText();
     window.ThemeUtils.externalLinks(this.$el);
+    if ($('[data-quick-view]').length) {
+      this.quickView = new QuickView({
+        el: $('[data-quick-view]')
+      });
+    }
     if ($('html').hasClass('lt-ie10')) {
       this.inputPlaceholderFix();
     }
@@ -6181,6 +10352,26 @@ window.ThemeView = (function(superClass) {
       });
       this.blogView.render();
     }
+    if (this.isCollection || this.isBlog || this.isSearch) {
+      this.loadMoreView = new LoadMoreView({
+        el: this.$el,
+        onAppend: (function(_this) {
+          return function($items) {
+            if (_this.blogView != null) {
+              return _this.blogView.renderPosts($items.filter('.blog-post'));
+            }
+          };
+        })(this),
+        requestPage: (function(_this) {
+          return function(url) {
+            if (_this.collectionView != null) {
+              return _this.collectionView.loadPage(url);
+            }
+            return $.get(url);
+          };
+        })(this)
+      });
+    }
     if (this.isAccount) {
       this.accountView = new AccountView({
         el: this.$el
@@ -6223,7 +10414,9 @@ window.ThemeView = (function(superClass) {
     this.sections.register('header', this._header(this.sections));
     this.sections.register('pxs-announcement-bar', this._announcementBar(this.sections));
     this.sections.register('template-product', this._productDetails(this.sections));
-    return this.sections.register('home-featured-product', this._productDetails(this.sections));
+    this.sections.register('home-featured-product', this._productDetails(this.sections));
+    this.sections.register('cart-drawer', this._cartDrawer(this.sections));
+    return this.sections.register('recently-viewed', this._recentlyViewed(this.sections));
   };
 
   ThemeView.prototype._richText = function() {
@@ -6345,6 +10538,56 @@ window.ThemeView = (function(superClass) {
     };
   };
 
+  ThemeView.prototype._recentlyViewed = function(sections) {
+    return {
+      instances: {},
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new RecentlyViewed(instance);
+      },
+      onSectionLoad: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        if (!this.instances[instance.sectionId]) {
+          return this.init(instance);
+        }
+      },
+      onSectionUnload: function(event) {
+        var instance, ref;
+        instance = sections.getInstance(event);
+        if ((ref = this.instances[instance.sectionId]) != null) {
+          ref.prepareRemove();
+        }
+        return delete this.instances[instance.sectionId];
+      }
+    };
+  };
+
+  ThemeView.prototype._cartDrawer = function(sections) {
+    return {
+      instances: {},
+      init: function(instance) {
+        return this.instances[instance.sectionId] = new CartDrawerView({
+          el: instance.$container
+        });
+      },
+      onSectionLoad: function(event) {
+        var instance;
+        instance = sections.getInstance(event);
+        if (!this.instances[instance.sectionId]) {
+          return this.init(instance);
+        }
+      },
+      onSectionUnload: function(event) {
+        var instance, ref;
+        instance = sections.getInstance(event);
+        if ((ref = this.instances[instance.sectionId]) != null) {
+          ref.prepareRemove();
+        }
+        return delete this.instances[instance.sectionId];
+      }
+    };
+  };
+
   return ThemeView;
 
 })(Backbone.View);